@@ -0,0 +1,112 @@
+import { computeDistanceMatrix } from './dbscan.js';
+
+// Lance-Williams 更新公式：合并 a、b 后新簇到 c 的距离
+const LINKAGES = {
+    average: (dac, dbc, sizeA, sizeB) => (sizeA * dac + sizeB * dbc) / (sizeA + sizeB),
+    complete: (dac, dbc) => Math.max(dac, dbc),
+};
+
+// 最近邻链算法，返回所有合并记录 { a, b, distance }（按距离升序）
+function buildMerges(distances, n, linkage) {
+    const update = LINKAGES[linkage];
+    const active = new Uint8Array(n).fill(1);
+    const sizes = new Int32Array(n).fill(1);
+    const merges = [];
+    const chain = [];
+    let activeCount = n;
+
+    while (activeCount > 1) {
+        if (chain.length === 0) {
+            chain.push(active.indexOf(1));
+        }
+
+        const a = chain[chain.length - 1];
+        const previous = chain.length > 1 ? chain[chain.length - 2] : -1;
+
+        // 找到 a 的最近邻，距离相同时优先选择链上的前一个，保证算法终止
+        let b = previous;
+        let bestDistance = previous === -1 ? Infinity : distances[a * n + previous];
+        for (let c = 0; c < n; c++) {
+            if (!active[c] || c === a) continue;
+            const distance = distances[a * n + c];
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                b = c;
+            }
+        }
+
+        if (b !== previous) {
+            chain.push(b);
+            continue;
+        }
+
+        // a 与 b 互为最近邻，合并到 a 的位置
+        chain.pop();
+        chain.pop();
+        merges.push({ a, b, distance: bestDistance });
+        for (let c = 0; c < n; c++) {
+            if (!active[c] || c === a || c === b) continue;
+            const distance = update(distances[a * n + c], distances[b * n + c], sizes[a], sizes[b]);
+            distances[a * n + c] = distance;
+            distances[c * n + a] = distance;
+        }
+        sizes[a] += sizes[b];
+        active[b] = 0;
+        activeCount--;
+    }
+
+    return merges.sort((x, y) => x.distance - y.distance);
+}
+
+// 层次聚类主算法
+// cut 为 'threshold' 时按距离阈值切分，为 'count' 时切分为指定数量的簇
+// 小于 minClusterSize 的簇视为噪声
+export async function agglomerative(points, { linkage = 'average', cut = 'threshold', distanceThreshold = 0.3, nClusters = 10, minClusterSize = 2 } = {}, useGPU = false) {
+    const n = points.length;
+    if (n === 0) return { clusters: [], noise: [] };
+
+    const similarityMatrix = await computeDistanceMatrix(points, useGPU);
+    const distances = new Float64Array(n * n);
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            distances[i * n + j] = Math.max(0, 1 - similarityMatrix[i][j]);
+        }
+    }
+
+    const merges = buildMerges(distances, n, linkage in LINKAGES ? linkage : 'average');
+    const applied = cut === 'count'
+        ? merges.slice(0, Math.max(0, n - Math.max(1, nClusters)))
+        : merges.filter(merge => merge.distance <= distanceThreshold);
+
+    // 用并查集按合并记录还原簇
+    const parent = Array.from({ length: n }, (_, i) => i);
+    const find = x => {
+        while (parent[x] !== x) {
+            parent[x] = parent[parent[x]];
+            x = parent[x];
+        }
+        return x;
+    };
+    applied.forEach(({ a, b }) => {
+        parent[find(b)] = find(a);
+    });
+
+    const groups = new Map();
+    for (let i = 0; i < n; i++) {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(i);
+    }
+
+    const clusters = [];
+    const noise = [];
+    groups.forEach(members => {
+        if (members.length >= minClusterSize) {
+            clusters.push(members);
+        } else {
+            noise.push(...members);
+        }
+    });
+
+    return { clusters, noise: noise.sort((x, y) => x - y) };
+}
@@ -0,0 +1,143 @@
+import { dbscan } from './dbscan.js';
+import { computeCentroid } from './clusterStats.js';
+import { dot } from './vectorMath.js';
+
+// 冻结的聚类：保存每个簇的名称、质心与代表文本，之后可将新文本归入这些簇
+// 相似度低于阈值的文本标记为未归类，可选对未归类文本运行 DBSCAN 发现新主题
+// 簇文件为 JSON：{ format, version, name, createdAt, model, dtype, dim, clusters: [{ name, size, centroid, exemplars }] }
+
+export const CLASSIFIER_FORMAT = 'text2vector-clusters';
+export const CLASSIFIER_VERSION = 1;
+export const CLASSIFIER_EXTENSION = '.t2v-clusters.json';
+
+// 每个簇保存的代表文本数
+const EXEMPLAR_COUNT = 5;
+
+// 参数表单，格式同 clustering.js 中的算法参数
+export const CLASSIFY_PARAMS = [
+    { key: 'threshold', label: '归类相似度阈值', type: 'number', default: 0.75, step: 0.01, min: 0 },
+    {
+        key: 'discover', label: '未归类文本', type: 'select', default: 'dbscan',
+        options: [
+            { value: 'dbscan', label: '用 DBSCAN 发现新主题' },
+            { value: 'none', label: '不处理' },
+        ]
+    },
+    { key: 'epsilon', label: 'Epsilon', type: 'number', default: 0.15, step: 0.1, min: 0, visible: params => params.discover === 'dbscan' },
+    { key: 'minPts', label: 'MinPts', type: 'number', default: 2, step: 1, min: 1, visible: params => params.discover === 'dbscan' },
+];
+
+export function getDefaultClassifyParams() {
+    return Object.fromEntries(CLASSIFY_PARAMS.map(param => [param.key, param.default]));
+}
+
+// 由聚类结果冻结各簇：clusters 为 points 中的下标，names 为对应的簇名称
+export function freezeClusters(clusters, names, points, texts) {
+    return clusters.map((members, c) => {
+        const centroid = computeCentroid(members, points);
+        const exemplars = members
+            .map(index => [index, dot(points[index], centroid)])
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, EXEMPLAR_COUNT)
+            .map(([index]) => texts[index]);
+        return { name: names[c], size: members.length, centroid, exemplars };
+    });
+}
+
+// 将文本归入最相似的冻结簇，返回每条文本的簇下标（-1 为未归类）与相似度
+export function assignToCentroids(points, centroids, threshold) {
+    const assignments = new Int32Array(points.length).fill(-1);
+    const scores = new Float64Array(points.length);
+    points.forEach((point, i) => {
+        let best = -1;
+        let bestScore = -Infinity;
+        centroids.forEach((centroid, c) => {
+            const score = dot(point, centroid);
+            if (score > bestScore) {
+                bestScore = score;
+                best = c;
+            }
+        });
+        scores[i] = bestScore;
+        if (bestScore >= threshold) assignments[i] = best;
+    });
+    return { assignments, scores };
+}
+
+// 将文本归入冻结的簇，再按参数对未归类文本发现新主题
+// 返回 { clusters, frozenIds, noise }：clusters 先按冻结顺序列出非空的冻结簇，再按（加权）大小降序列出新主题；
+// frozenIds 为对应的冻结簇编号（从 1 开始，新主题为 null）；noise 为仍未归类的文本
+// weights 为每条文本的权重，发现新主题时计入 DBSCAN 的密度
+export async function classifyTexts(points, frozenClusters, params = {}, { useGPU = false, onProgress = null, weights = null } = {}) {
+    const { threshold, discover, epsilon, minPts } = { ...getDefaultClassifyParams(), ...params };
+    const { assignments } = assignToCentroids(points, frozenClusters.map(cluster => cluster.centroid), threshold);
+
+    const members = frozenClusters.map(() => []);
+    const unassigned = [];
+    assignments.forEach((cluster, i) => {
+        if (cluster === -1) unassigned.push(i);
+        else members[cluster].push(i);
+    });
+
+    const clusters = [];
+    const frozenIds = [];
+    members.forEach((indices, c) => {
+        if (indices.length === 0) return;
+        clusters.push(indices);
+        frozenIds.push(c + 1);
+    });
+
+    let noise = unassigned;
+    if (discover === 'dbscan' && unassigned.length > 0) {
+        const discovered = await dbscan(
+            unassigned.map(i => points[i]), 1 - epsilon, minPts, useGPU, onProgress, weights && unassigned.map(i => weights[i])
+        );
+        const sizeOf = cluster => (weights ? cluster.reduce((sum, i) => sum + weights[i], 0) : cluster.length);
+        discovered.clusters
+            .map(cluster => cluster.map(i => unassigned[i]))
+            .sort((a, b) => sizeOf(b) - sizeOf(a))
+            .forEach(cluster => {
+                clusters.push(cluster);
+                frozenIds.push(null);
+            });
+        noise = discovered.noise.map(i => unassigned[i]);
+    }
+    return { clusters, frozenIds, noise };
+}
+
+// 创建簇文件对象
+export function createClassifier({ name, model, dtype, clusters }) {
+    return {
+        format: CLASSIFIER_FORMAT,
+        version: CLASSIFIER_VERSION,
+        name,
+        createdAt: new Date().toISOString(),
+        model,
+        dtype,
+        dim: clusters[0]?.centroid.length ?? 0,
+        clusters
+    };
+}
+
+// 解析并校验簇文件
+export function parseClassifier(text) {
+    let classifier;
+    try {
+        classifier = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`不是有效的 JSON 文件: ${error.message}`);
+    }
+    if (classifier?.format !== CLASSIFIER_FORMAT) {
+        throw new Error('不是簇文件');
+    }
+    if (classifier.version > CLASSIFIER_VERSION) {
+        throw new Error(`簇文件版本 ${classifier.version} 过新，请更新页面后再打开`);
+    }
+    if (!Array.isArray(classifier.clusters) || classifier.clusters.length === 0) {
+        throw new Error('簇文件中没有簇');
+    }
+    if (classifier.clusters.some(cluster => cluster.centroid?.length !== classifier.dim)) {
+        throw new Error('簇文件中的质心已损坏');
+    }
+    return classifier;
+}
@@ -0,0 +1,87 @@
+import { dot, normalize } from './vectorMath.js';
+
+// 簇质量统计。向量均已归一化，余弦相似度对向量是线性的，
+// 因此点到一个簇的平均相似度 = 点与簇向量和的点积 / 簇大小，无需两两计算
+
+function sumVectors(cluster, embeddings) {
+    const sum = new Array(embeddings[cluster[0]].length).fill(0);
+    cluster.forEach(index => {
+        const vector = embeddings[index];
+        for (let d = 0; d < sum.length; d++) sum[d] += vector[d];
+    });
+    return sum;
+}
+
+// 簇质心（归一化后的平均向量）
+export function computeCentroid(cluster, embeddings) {
+    return normalize(sumVectors(cluster, embeddings));
+}
+
+// 轮廓系数（余弦距离），噪声点不参与；少于两个簇时返回 null
+export function silhouetteScore(clusters, embeddings) {
+    if (clusters.length < 2) return null;
+
+    const sums = clusters.map(cluster => sumVectors(cluster, embeddings));
+    let total = 0;
+    let count = 0;
+
+    clusters.forEach((cluster, c) => {
+        cluster.forEach(index => {
+            count++;
+            // 单点簇的轮廓系数按惯例记为 0
+            if (cluster.length === 1) return;
+
+            const vector = embeddings[index];
+            const a = 1 - (dot(vector, sums[c]) - dot(vector, vector)) / (cluster.length - 1);
+            let b = Infinity;
+            clusters.forEach((other, o) => {
+                if (o !== c) b = Math.min(b, 1 - dot(vector, sums[o]) / other.length);
+            });
+            const denominator = Math.max(a, b);
+            total += denominator > 0 ? (b - a) / denominator : 0;
+        });
+    });
+
+    return count > 0 ? total / count : null;
+}
+
+// 每个簇的统计：
+// cohesion 簇内两两平均相似度，scores 各成员与质心的相似度，
+// minSimilarity / weakestIndex 与质心最不相似的成员，
+// nearestCluster / nearestSimilarity 质心最相似的其他簇
+export function computeClusterStats(clusters, embeddings) {
+    const sums = clusters.map(cluster => sumVectors(cluster, embeddings));
+    const centroids = sums.map(normalize);
+
+    return clusters.map((cluster, c) => {
+        const size = cluster.length;
+        // |Σx|² = Σᵢ Σⱼ xᵢ·xⱼ，去掉 i = j 的 size 项即两两相似度之和
+        const cohesion = size > 1 ? (dot(sums[c], sums[c]) - size) / (size * (size - 1)) : 1;
+
+        const scores = cluster.map(index => dot(embeddings[index], centroids[c]));
+        let weakest = 0;
+        scores.forEach((score, i) => {
+            if (score < scores[weakest]) weakest = i;
+        });
+
+        let nearestCluster = -1;
+        let nearestSimilarity = -Infinity;
+        centroids.forEach((centroid, o) => {
+            if (o === c) return;
+            const similarity = dot(centroids[c], centroid);
+            if (similarity > nearestSimilarity) {
+                nearestSimilarity = similarity;
+                nearestCluster = o;
+            }
+        });
+
+        return {
+            cohesion,
+            scores,
+            minSimilarity: scores[weakest],
+            weakestIndex: cluster[weakest],
+            nearestCluster,
+            nearestSimilarity: nearestCluster === -1 ? null : nearestSimilarity
+        };
+    });
+}
@@ -0,0 +1,88 @@
+import { dbscan } from './dbscan.js';
+import { hdbscan } from './hdbscan.js';
+import { kmeans } from './kmeans.js';
+import { agglomerative } from './agglomerative.js';
+
+// 聚类算法注册表
+// params 描述参数表单（前端据此渲染），run(points, params, { useGPU, onProgress, weights }) 返回 { clusters, noise }
+// weights 为每个点的权重（出现次数），目前只有 DBSCAN 用于密度判断，其他算法忽略
+// maxPoints 为需要完整 n×n 距离矩阵的算法所能处理的最多文本数，超过时内存会达到数 GB
+export const ALGORITHMS = {
+    dbscan: {
+        name: 'DBSCAN',
+        description: '基于密度，需指定距离阈值',
+        params: [
+            { key: 'epsilon', label: 'Epsilon', type: 'number', default: 0.15, step: 0.1, min: 0 },
+            { key: 'minPts', label: 'MinPts', type: 'number', default: 2, step: 1, min: 1 },
+        ],
+        // epsilon 是余弦距离阈值 [0,1]，转换为相似度阈值，例如距离 0.3 对应相似度 0.7
+        run: (points, params, { useGPU, onProgress, weights }) => dbscan(points, 1 - params.epsilon, params.minPts, useGPU, onProgress, weights),
+    },
+    hdbscan: {
+        name: 'HDBSCAN',
+        description: '基于密度，无需 epsilon，适合密度不均的簇',
+        maxPoints: 5000,
+        params: [
+            { key: 'minClusterSize', label: '最小簇大小', type: 'number', default: 3, step: 1, min: 2 },
+            { key: 'minSamples', label: 'MinSamples', type: 'number', default: 2, step: 1, min: 1 },
+        ],
+        run: (points, params, { useGPU }) => hdbscan(points, params.minClusterSize, params.minSamples, useGPU),
+    },
+    kmeans: {
+        name: 'K-Means',
+        description: '球面 k-means++，指定簇数量，无噪声点',
+        params: [
+            { key: 'k', label: '簇数量 K', type: 'number', default: 8, step: 1, min: 1 },
+            { key: 'maxIterations', label: '最大迭代', type: 'number', default: 100, step: 10, min: 1 },
+        ],
+        run: async (points, params) => kmeans(points, params.k, params.maxIterations),
+    },
+    agglomerative: {
+        name: '层次聚类',
+        description: '平均/全链接，按距离阈值或簇数量切分',
+        maxPoints: 5000,
+        params: [
+            {
+                key: 'linkage', label: '链接方式', type: 'select', default: 'average',
+                options: [{ value: 'average', label: '平均链接' }, { value: 'complete', label: '全链接' }]
+            },
+            {
+                key: 'cut', label: '切分方式', type: 'select', default: 'threshold',
+                options: [{ value: 'threshold', label: '距离阈值' }, { value: 'count', label: '簇数量' }]
+            },
+            { key: 'distanceThreshold', label: '距离阈值', type: 'number', default: 0.3, step: 0.05, min: 0, visible: params => params.cut === 'threshold' },
+            { key: 'nClusters', label: '簇数量', type: 'number', default: 8, step: 1, min: 1, visible: params => params.cut === 'count' },
+            { key: 'minClusterSize', label: '最小簇大小', type: 'number', default: 2, step: 1, min: 1 },
+        ],
+        run: (points, params, { useGPU }) => agglomerative(points, params, useGPU),
+    },
+};
+
+export const DEFAULT_ALGORITHM = 'dbscan';
+
+// 各算法的默认参数 { [algorithm]: { [key]: value } }
+export function getDefaultParams() {
+    return Object.fromEntries(Object.entries(ALGORITHMS).map(([id, algorithm]) => [
+        id,
+        Object.fromEntries(algorithm.params.map(param => [param.key, param.default]))
+    ]));
+}
+
+// 检查文本数是否超过算法的上限，在计算向量之前调用，避免白白计算后才失败
+export function checkPointLimit(algorithmId, count) {
+    const algorithm = ALGORITHMS[algorithmId];
+    if (algorithm?.maxPoints && count > algorithm.maxPoints) {
+        throw new Error(`${algorithm.name} 需要完整的距离矩阵，最多支持 ${algorithm.maxPoints} 条文本（当前 ${count} 条），请改用 DBSCAN 或 K-Means`);
+    }
+}
+
+// 执行指定算法，缺失的参数使用默认值
+export async function runClustering(points, algorithmId, params = {}, options = {}) {
+    const algorithm = ALGORITHMS[algorithmId];
+    if (!algorithm) {
+        throw new Error(`未知的聚类算法: ${algorithmId}`);
+    }
+    checkPointLimit(algorithmId, points.length);
+    const mergedParams = { ...getDefaultParams()[algorithmId], ...params };
+    return algorithm.run(points, mergedParams, { useGPU: false, onProgress: null, weights: null, ...options });
+}
@@ -0,0 +1,74 @@
+'use client'
+
+import { ALGORITHMS } from '../clustering'
+
+const inputClassName = 'w-32 p-2 border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-200 focus:outline-none';
+
+// 聚类算法选择与对应的参数表单
+export default function AlgorithmParams({ algorithm, params, onAlgorithmChange, onParamsChange }) {
+  const current = ALGORITHMS[algorithm];
+
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-3">
+        <select
+          className="p-2 text-sm border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-200 focus:outline-none"
+          value={algorithm}
+          onChange={(e) => onAlgorithmChange(e.target.value)}
+        >
+          {Object.entries(ALGORITHMS).map(([id, { name }]) => (
+            <option key={id} value={id}>{name}</option>
+          ))}
+        </select>
+        <span className="text-xs text-gray-500">
+          {current.description}
+          {current.maxPoints && `（最多 ${current.maxPoints.toLocaleString()} 条文本）`}
+        </span>
+      </div>
+
+      <ParamFields params={current.params} values={params} onChange={onParamsChange} />
+    </div>
+  );
+}
+
+// 参数表单，params 为参数描述（见 clustering.js），values 为当前取值
+export function ParamFields({ params, values, onChange }) {
+  const setParam = (key, value) => {
+    onChange({ ...values, [key]: value });
+  };
+
+  return (
+    <div className="flex flex-wrap gap-4">
+      {params
+        .filter(param => !param.visible || param.visible(values))
+        .map(param => (
+          <div key={param.key}>
+            <label className="block text-xs text-gray-600 mb-1">{param.label}</label>
+            {param.type === 'select' ? (
+              <select
+                className={inputClassName}
+                value={values[param.key]}
+                onChange={(e) => setParam(param.key, e.target.value)}
+              >
+                {param.options.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            ) : (
+              <input
+                type="number"
+                className={inputClassName}
+                value={values[param.key]}
+                onChange={(e) => setParam(
+                  param.key,
+                  Number.isInteger(param.step) ? parseInt(e.target.value) : parseFloat(e.target.value)
+                )}
+                step={param.step}
+                min={param.min}
+              />
+            )}
+          </div>
+        ))}
+    </div>
+  );
+}
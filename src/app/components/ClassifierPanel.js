@@ -0,0 +1,59 @@
+'use client'
+
+import { useRef } from 'react'
+import { CLASSIFIER_EXTENSION, CLASSIFY_PARAMS } from '../classifier'
+import { ParamFields } from './AlgorithmParams'
+
+const buttonClassName = 'text-xs px-2 py-1 border rounded bg-white text-gray-600 hover:bg-blue-50 disabled:text-gray-300 disabled:hover:bg-white transition-colors';
+
+// 归类模式：冻结当前聚类结果或打开簇文件，设置归类阈值与新主题发现
+export default function ClassifierPanel({ classifier, params, onParamsChange, canFreeze, freezing, onFreeze, onOpenFile, onDownload, onClear }) {
+  const inputRef = useRef(null);
+
+  return (
+    <div className="space-y-3">
+      <div className="p-3 border rounded-lg bg-white text-sm">
+        {classifier ? (
+          <div className="mb-2">
+            <div className="flex items-center justify-between">
+              <span className="font-medium text-gray-700">{classifier.name}</span>
+              <div className="flex gap-1">
+                <button className={buttonClassName} onClick={onDownload}>下载簇文件</button>
+                <button className={buttonClassName} onClick={onClear}>移除</button>
+              </div>
+            </div>
+            <div className="text-xs text-gray-400">
+              {classifier.clusters.length} 个簇 · {classifier.model}（{classifier.dtype}）· {new Date(classifier.createdAt).toLocaleString('zh-CN')}
+            </div>
+            <div className="mt-1 text-xs text-gray-500 line-clamp-2">
+              {classifier.clusters.map((cluster, i) => `#${i + 1} ${cluster.name}`).join(' · ')}
+            </div>
+          </div>
+        ) : (
+          <p className="mb-2 text-xs text-gray-500">先冻结一次聚类结果（或打开之前下载的簇文件），再输入新文本归入这些簇</p>
+        )}
+        <div className="flex gap-2">
+          <button className={buttonClassName} disabled={!canFreeze || freezing} onClick={onFreeze}>
+            {freezing ? '⟳ 冻结中...' : '冻结当前结果'}
+          </button>
+          <button className={buttonClassName} onClick={() => inputRef.current?.click()}>打开簇文件</button>
+          <input
+            ref={inputRef}
+            type="file"
+            accept={`${CLASSIFIER_EXTENSION},.json`}
+            className="hidden"
+            onChange={(e) => {
+              if (e.target.files[0]) onOpenFile(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </div>
+      </div>
+
+      <ParamFields params={CLASSIFY_PARAMS} values={params} onChange={onParamsChange} />
+      <p className="text-xs text-gray-400">
+        与最相似簇质心的相似度不低于阈值时归入该簇，簇的编号与名称沿用冻结时的结果；其余文本为未归类
+      </p>
+    </div>
+  );
+}
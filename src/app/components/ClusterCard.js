@@ -0,0 +1,251 @@
+'use client'
+
+import { useState } from 'react'
+import MetaInfo from './MetaInfo'
+import RecordText from './RecordText'
+import SubclusterForm from './SubclusterForm'
+import WeightTag from './WeightTag'
+
+const DRAG_TYPE = 'application/x-text-indices';
+
+// 拖拽文本：携带文本在输入中的位置
+export function startTextDrag(e, indices) {
+  e.dataTransfer.setData(DRAG_TYPE, JSON.stringify(indices));
+  e.dataTransfer.effectAllowed = 'move';
+}
+
+// 放下时读取拖拽的文本位置，不是文本拖拽时返回 null
+export function readTextDrag(e) {
+  const data = e.dataTransfer.getData(DRAG_TYPE);
+  return data ? JSON.parse(data) : null;
+}
+
+// 可以接收文本拖拽的区域
+export function useTextDrop(onDrop) {
+  const [over, setOver] = useState(false);
+  return {
+    over,
+    handlers: {
+      onDragOver: (e) => {
+        if (!onDrop || !e.dataTransfer.types.includes(DRAG_TYPE)) return;
+        e.preventDefault();
+        setOver(true);
+      },
+      onDragLeave: () => setOver(false),
+      onDrop: (e) => {
+        setOver(false);
+        const indices = readTextDrag(e);
+        if (onDrop && indices) {
+          e.preventDefault();
+          onDrop(indices);
+        }
+      }
+    }
+  };
+}
+
+// 单个簇的卡片：标签、关键词、质量统计与成员列表
+// 提供 curation 时可以勾选、拖拽文本，重命名簇或合并到其他簇：
+// { selected: Set, onToggle(index), getDragIndices(index), onDropTexts(indices), onRename(name), onMergeInto(target), clusterNames,
+//   pending, subclusterDefaults, onSubcluster(algorithm, params), onClearSubclusters() }
+// 细分后成员按子簇分组显示（cluster.subclusters，格式同 results），不属于任何子簇的文本列在"未细分"中
+// 加权聚类时（cluster.weights 非空）同时显示条数与加权大小，文本后标出权重
+// highlighted 为语义检索命中的文本（输入位置的 Set），高亮显示；newTopic 表示归类模式中新发现的主题
+// coreTexts 为 DBSCAN 的核心点（输入位置的 Set），加粗显示，其余成员为边界点；其他算法不提供
+export default function ClusterCard({ cluster, idx, records, curation, highlighted, newTopic, coreTexts }) {
+  const [sortByCentrality, setSortByCentrality] = useState(false);
+  const [editingName, setEditingName] = useState(null);
+  const [showSubclusterForm, setShowSubclusterForm] = useState(false);
+  const { over, handlers } = useTextDrop(curation?.onDropTexts);
+  const title = cluster.name || cluster.label;
+  const hitCount = highlighted ? cluster.indices.filter(index => highlighted.has(index)).length : 0;
+  const coreCount = coreTexts ? cluster.indices.filter(index => coreTexts.has(index)).length : 0;
+
+  const commitName = () => {
+    if (editingName !== null && editingName !== title) curation.onRename(editingName);
+    setEditingName(null);
+  };
+
+  // 成员在 texts 中的下标，按需按与质心的相似度降序
+  const orderOf = (texts, scores) => {
+    const order = texts.map((_, textIdx) => textIdx);
+    if (sortByCentrality) {
+      order.sort((a, b) => scores[b] - scores[a]);
+    }
+    return order;
+  };
+
+  // 未细分的文本沿用与本簇质心的相似度
+  const parentScores = (indices) => {
+    const scoreOf = new Map(cluster.indices.map((index, textIdx) => [index, cluster.scores[textIdx]]));
+    return indices.map(index => scoreOf.get(index));
+  };
+
+  // 条数，加权时附加权大小
+  const sizeText = (size, weightedSize, weights) => (
+    weights ? `${size} 条文本（加权 ${weightedSize.toLocaleString()}）` : `${size} 条文本`
+  );
+
+  const renderTexts = (texts, indices, scores, weights) => (
+    <ul className={`${curation ? 'list-none pl-1' : 'list-disc pl-5'} space-y-1`}>
+      {orderOf(texts, scores).map(textIdx => (
+        <li
+          key={textIdx}
+          id={`text-${indices[textIdx]}`}
+          className={`text-sm text-gray-700 ${curation ? 'cursor-move' : ''} ${highlighted?.has(indices[textIdx]) ? 'bg-yellow-100' : ''}`}
+          draggable={!!curation}
+          onDragStart={curation ? (e) => startTextDrag(e, curation.getDragIndices(indices[textIdx])) : undefined}
+        >
+          {curation && (
+            <input
+              type="checkbox"
+              className="mr-2 align-middle"
+              checked={curation.selected.has(indices[textIdx])}
+              onChange={() => curation.onToggle(indices[textIdx])}
+            />
+          )}
+          <span className={coreTexts?.has(indices[textIdx]) ? 'font-semibold' : ''}>
+            <RecordText record={records[indices[textIdx]]} text={texts[textIdx]} />
+          </span>
+          <WeightTag weight={weights?.[textIdx]} />
+          <span className="ml-2 text-xs text-gray-400 font-mono">{scores[textIdx].toFixed(3)}</span>
+          <MetaInfo record={records[indices[textIdx]]} />
+        </li>
+      ))}
+    </ul>
+  );
+
+  return (
+    <div
+      className={`border rounded-lg p-4 bg-white shadow-sm hover:shadow-md transition-shadow ${over ? 'ring-2 ring-blue-300' : ''}`}
+      {...handlers}
+    >
+      <div className="flex justify-between items-start gap-2">
+        {editingName !== null ? (
+          <input
+            autoFocus
+            className="flex-1 px-2 py-0.5 text-sm border rounded focus:ring-2 focus:ring-blue-200 focus:outline-none"
+            value={editingName}
+            placeholder={cluster.label}
+            onChange={(e) => setEditingName(e.target.value)}
+            onBlur={commitName}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') commitName();
+              if (e.key === 'Escape') setEditingName(null);
+            }}
+          />
+        ) : (
+          <h3 className="font-medium text-blue-600">
+            簇 #{idx + 1} · {title} - {sizeText(cluster.size, cluster.weightedSize, cluster.weights)}
+            {newTopic && <span className="ml-1 px-1.5 py-0.5 text-xs bg-green-50 text-green-700 rounded font-normal">新主题</span>}
+            {hitCount > 0 && <span className="ml-1 px-1.5 py-0.5 text-xs bg-yellow-100 text-yellow-800 rounded font-normal">检索命中 {hitCount}</span>}
+            {cluster.name && <span className="ml-1 text-xs text-gray-400 font-normal">（自动标签: {cluster.label}）</span>}
+          </h3>
+        )}
+        <div className="flex items-center gap-1">
+          {curation && (
+            <>
+              <button
+                onClick={() => setEditingName(title)}
+                className="text-xs px-2 py-1 rounded whitespace-nowrap text-gray-600 hover:bg-blue-50 transition-colors"
+              >
+                重命名
+              </button>
+              {curation.clusterNames.length > 1 && (
+                <select
+                  className="text-xs p-1 border rounded text-gray-600 focus:outline-none"
+                  value=""
+                  onChange={(e) => curation.onMergeInto(parseInt(e.target.value))}
+                >
+                  <option value="" disabled>合并到…</option>
+                  {curation.clusterNames.map((name, target) => target !== idx && (
+                    <option key={target} value={target}>#{target + 1} {name}</option>
+                  ))}
+                </select>
+              )}
+              <button
+                onClick={() => setShowSubclusterForm(!showSubclusterForm)}
+                className={`text-xs px-2 py-1 rounded whitespace-nowrap transition-colors ${showSubclusterForm ? 'bg-blue-500 text-white' : 'text-gray-600 hover:bg-blue-50'}`}
+              >
+                细分
+              </button>
+            </>
+          )}
+          <button
+            onClick={() => setSortByCentrality(!sortByCentrality)}
+            className={`text-xs px-2 py-1 rounded whitespace-nowrap transition-colors ${sortByCentrality ? 'bg-blue-500 text-white' : 'text-gray-600 hover:bg-blue-50'}`}
+          >
+            按中心度排序
+          </button>
+        </div>
+      </div>
+      <div className="text-xs text-gray-500">
+        代表句: {cluster.centralText}
+        {cluster.keywords.length > 0 && (
+          <span className="ml-2">
+            {cluster.keywords.map(keyword => (
+              <span key={keyword} className="inline-block px-1.5 py-0.5 mr-1 bg-blue-50 text-blue-700 rounded">
+                {keyword}
+              </span>
+            ))}
+          </span>
+        )}
+      </div>
+      <div className="mb-2 text-xs text-gray-400">
+        平均相似度 {cluster.cohesion.toFixed(3)}
+        {' · '}最弱成员 {cluster.minSimilarity.toFixed(3)}（{cluster.weakestText}）
+        {cluster.nearestCluster >= 0 && (
+          <>{' · '}最近簇 #{cluster.nearestCluster + 1}（{cluster.nearestSimilarity.toFixed(3)}）</>
+        )}
+        {coreTexts && (
+          <>{' · '}核心点 {coreCount}，边界点 {cluster.size - coreCount}（核心点加粗）</>
+        )}
+      </div>
+      {curation && showSubclusterForm && (
+        <SubclusterForm
+          defaults={curation.subclusterDefaults}
+          pending={curation.pending}
+          hasSubclusters={!!cluster.subclusters}
+          onSubmit={curation.onSubcluster}
+          onClear={curation.onClearSubclusters}
+          onClose={() => setShowSubclusterForm(false)}
+        />
+      )}
+      {cluster.subclusters ? (
+        <div className="space-y-3">
+          {cluster.subclusters.results.map((subcluster, subIdx) => (
+            <div key={subIdx} className="pl-3 border-l-2 border-blue-100">
+              <h4 className="text-sm font-medium text-blue-500">
+                #{idx + 1}.{subIdx + 1} · {subcluster.label} - {sizeText(subcluster.size, subcluster.weightedSize, subcluster.weights)}
+              </h4>
+              <div className="mb-1 text-xs text-gray-400">
+                {subcluster.keywords.length > 0 && <>{subcluster.keywords.join('、')}{' · '}</>}
+                平均相似度 {subcluster.cohesion.toFixed(3)}
+              </div>
+              {renderTexts(subcluster.texts, subcluster.indices, subcluster.scores, subcluster.weights)}
+            </div>
+          ))}
+          {cluster.subclusters.noise.length > 0 && (
+            <div className="pl-3 border-l-2 border-gray-100">
+              <h4 className="text-sm font-medium text-gray-500">
+                未细分 - {sizeText(
+                  cluster.subclusters.noise.length,
+                  cluster.subclusters.noiseWeights?.reduce((sum, weight) => sum + weight, 0),
+                  cluster.subclusters.noiseWeights
+                )}
+              </h4>
+              {renderTexts(
+                cluster.subclusters.noise,
+                cluster.subclusters.noiseIndices,
+                parentScores(cluster.subclusters.noiseIndices),
+                cluster.subclusters.noiseWeights
+              )}
+            </div>
+          )}
+        </div>
+      ) : (
+        renderTexts(cluster.texts, cluster.indices, cluster.scores, cluster.weights)
+      )}
+    </div>
+  );
+}
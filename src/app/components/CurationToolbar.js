@@ -0,0 +1,47 @@
+'use client'
+
+const buttonClassName = 'text-xs px-2 py-1 border rounded bg-white text-gray-600 hover:bg-blue-50 disabled:text-gray-300 disabled:hover:bg-white transition-colors';
+
+// 手动调整工具栏：撤销 / 重做、恢复算法结果，以及对勾选文本的移动与拆分
+export default function CurationToolbar({ history, clusterNames, selectedCount, pending, onUndo, onRedo, onReset, onMove, onClearSelection }) {
+  const curated = history.past.length > 0 || history.future.length > 0;
+
+  return (
+    <div className="sticky top-0 z-10 flex flex-wrap items-center gap-2 p-2 border rounded-lg bg-white shadow-sm text-xs">
+      <span className="font-medium text-gray-700">手动调整</span>
+      <button className={buttonClassName} disabled={pending || history.past.length === 0} onClick={onUndo} title="Ctrl+Z">
+        撤销
+      </button>
+      <button className={buttonClassName} disabled={pending || history.future.length === 0} onClick={onRedo} title="Ctrl+Shift+Z">
+        重做
+      </button>
+      <button className={buttonClassName} disabled={pending || history.present === history.original} onClick={onReset}>
+        恢复算法结果
+      </button>
+      {pending && <span className="text-blue-500">⟳ 更新统计中...</span>}
+      {!pending && curated && <span className="text-gray-400">导出将使用调整后的结果</span>}
+
+      <span className="ml-auto text-gray-500">
+        {selectedCount > 0 ? `已勾选 ${selectedCount} 条` : '勾选或拖拽文本以移动'}
+      </span>
+      {selectedCount > 0 && (
+        <>
+          <select
+            className="p-1 border rounded text-gray-600 focus:outline-none"
+            value=""
+            disabled={pending}
+            onChange={(e) => onMove(e.target.value === 'new' ? 'new' : parseInt(e.target.value))}
+          >
+            <option value="" disabled>移动到…</option>
+            <option value="new">新簇（拆分）</option>
+            {clusterNames.map((name, target) => (
+              <option key={target} value={target}>#{target + 1} {name}</option>
+            ))}
+            <option value="-1">噪声</option>
+          </select>
+          <button className={buttonClassName} onClick={onClearSelection}>取消勾选</button>
+        </>
+      )}
+    </div>
+  );
+}
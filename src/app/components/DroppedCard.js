@@ -0,0 +1,35 @@
+'use client'
+
+import { useState } from 'react'
+import { DROP_REASONS } from '../preprocess'
+import MetaInfo from './MetaInfo'
+
+// 预处理时被过滤、未参与聚类的文本，按原因统计
+export default function DroppedCard({ dropped, records }) {
+  const [expanded, setExpanded] = useState(false);
+
+  const counts = {};
+  dropped.forEach(({ reason }) => { counts[reason] = (counts[reason] ?? 0) + 1; });
+
+  return (
+    <div className="border rounded-lg p-4 bg-gray-50 shadow-sm text-sm">
+      <button className="font-medium text-gray-600" onClick={() => setExpanded(!expanded)}>
+        {expanded ? '▾' : '▸'} 已过滤 - {dropped.length} 条文本
+      </button>
+      <span className="ml-2 text-xs text-gray-400">
+        {Object.entries(counts).map(([reason, count]) => `${DROP_REASONS[reason] ?? reason} ${count}`).join(' · ')}
+      </span>
+      {expanded && (
+        <ul className="mt-2 list-disc pl-5 space-y-1">
+          {dropped.map(({ index, reason }) => (
+            <li key={index} className="text-gray-500">
+              {records[index]?.text}
+              <span className="ml-2 text-xs text-gray-400">{DROP_REASONS[reason] ?? reason}</span>
+              <MetaInfo record={records[index]} />
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+'use client'
+
+import { useState } from 'react'
+import MetaInfo from './MetaInfo'
+import RecordText from './RecordText'
+
+// 每次多显示的组数
+const GROUP_PAGE_SIZE = 50;
+
+// 一组近似重复文本：代表文本在前，其余成员附与代表文本的相似度，可展开查看文本对
+function DuplicateGroup({ group, idx, records }) {
+  const [showPairs, setShowPairs] = useState(false);
+  const order = group.indices.map((_, i) => i).filter(i => i !== group.canonical);
+  order.unshift(group.canonical);
+
+  return (
+    <div className="border rounded-lg p-4 bg-white shadow-sm">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-medium text-blue-600">重复组 #{idx + 1} - {group.size} 条文本</h3>
+        <button
+          onClick={() => setShowPairs(!showPairs)}
+          className={`text-xs px-2 py-1 rounded whitespace-nowrap transition-colors ${showPairs ? 'bg-blue-500 text-white' : 'text-gray-600 hover:bg-blue-50'}`}
+        >
+          文本对（{group.pairCount}）
+        </button>
+      </div>
+      <ul className="list-disc pl-5 space-y-1">
+        {order.map(i => (
+          <li key={i} className="text-sm text-gray-700">
+            {i === group.canonical && (
+              <span className="inline-block px-1.5 py-0.5 mr-1 text-xs bg-green-50 text-green-700 rounded">保留</span>
+            )}
+            <span className={i === group.canonical ? 'font-medium' : ''}>
+              <RecordText record={records[group.indices[i]]} text={group.texts[i]} />
+            </span>
+            {i !== group.canonical && (
+              <span className="ml-2 text-xs text-gray-400 font-mono">{group.scores[i].toFixed(3)}</span>
+            )}
+            <MetaInfo record={records[group.indices[i]]} />
+          </li>
+        ))}
+      </ul>
+      {showPairs && (
+        <table className="mt-2 w-full text-xs text-gray-600">
+          <tbody>
+            {group.pairs.map(([a, b, similarity]) => (
+              <tr key={`${a}-${b}`} className="border-t">
+                <td className="py-1 pr-2">{records[group.indices[a]]?.text ?? group.texts[a]}</td>
+                <td className="py-1 pr-2">{records[group.indices[b]]?.text ?? group.texts[b]}</td>
+                <td className="py-1 font-mono text-right">{similarity.toFixed(3)}</td>
+              </tr>
+            ))}
+          </tbody>
+          {group.pairCount > group.pairs.length && (
+            <caption className="caption-bottom text-left text-gray-400 pt-1">
+              仅显示相似度最高的 {group.pairs.length} 对
+            </caption>
+          )}
+        </table>
+      )}
+    </div>
+  );
+}
+
+// 近似重复检测结果
+export default function DuplicatesPanel({ duplicates }) {
+  const [visibleCount, setVisibleCount] = useState(GROUP_PAGE_SIZE);
+  const { groups, records } = duplicates;
+  const duplicateCount = groups.reduce((sum, group) => sum + group.size - 1, 0);
+
+  return (
+    <div className="space-y-4">
+      <div className="p-3 border rounded-lg bg-white text-sm text-gray-600">
+        发现 {groups.length} 组近似重复，可去除 {duplicateCount} 条，
+        去重后保留 {duplicates.unique.length + groups.length} 条文本
+        {duplicates.dropped?.length > 0 && `（另有 ${duplicates.dropped.length} 条在预处理时被过滤）`}
+      </div>
+
+      {groups.slice(0, visibleCount).map((group, idx) => (
+        <DuplicateGroup key={idx} group={group} idx={idx} records={records} />
+      ))}
+
+      {groups.length > visibleCount && (
+        <button
+          onClick={() => setVisibleCount(visibleCount + GROUP_PAGE_SIZE)}
+          className="w-full py-2 text-sm text-gray-600 border rounded-lg bg-white hover:bg-blue-50 transition-colors"
+        >
+          显示更多（还有 {groups.length - visibleCount} 组）
+        </button>
+      )}
+    </div>
+  );
+}
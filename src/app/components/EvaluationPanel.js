@@ -0,0 +1,84 @@
+'use client'
+
+import { useState } from 'react'
+
+// 混淆表最多显示的簇数与类别数（簇按顺序、类别按文本数取前若干个，噪声始终显示）
+const MAX_TABLE_CLUSTERS = 20;
+const MAX_TABLE_LABELS = 30;
+
+const METRICS = [
+  { key: 'purity', label: '纯度' },
+  { key: 'homogeneity', label: '同质性' },
+  { key: 'completeness', label: '完整性' },
+  { key: 'vMeasure', label: 'V-measure' },
+  { key: 'ari', label: 'ARI' },
+  { key: 'nmi', label: 'NMI' },
+];
+
+// 与人工标注对比的评估指标与混淆表，evaluation 见 evaluation.js
+export default function EvaluationPanel({ evaluation }) {
+  const [expanded, setExpanded] = useState(false);
+  const { confusion } = evaluation;
+  const clusterColumns = confusion.clusters
+    .map((cluster, c) => ({ cluster, c }))
+    .filter(({ cluster }) => cluster === -1 || cluster < MAX_TABLE_CLUSTERS);
+  const labelRows = confusion.labels.slice(0, MAX_TABLE_LABELS);
+  const truncated = clusterColumns.length < confusion.clusters.length || labelRows.length < confusion.labels.length;
+
+  return (
+    <div className="text-sm bg-gray-50 p-3 rounded-lg">
+      <div className="font-medium mb-2">标注评估</div>
+      <div className="grid grid-cols-3 gap-x-4 gap-y-1 text-gray-600">
+        {METRICS.map(({ key, label }) => (
+          <div key={key}>{label}: <span className="font-mono">{evaluation[key].toFixed(3)}</span></div>
+        ))}
+      </div>
+      <div className="mt-1 text-xs text-gray-400">
+        评估 {evaluation.evaluated} 条有标注的文本{evaluation.skipped > 0 && `，${evaluation.skipped} 条无标注或被过滤`}；噪声视为一组，结果包含手动调整
+      </div>
+
+      <button className="mt-2 text-xs text-gray-600" onClick={() => setExpanded(!expanded)}>
+        {expanded ? '▾' : '▸'} 混淆表（{confusion.labels.length} 个类别 × {confusion.clusters.length} 个簇）
+      </button>
+      {expanded && (
+        <div className="mt-1 overflow-x-auto">
+          <table className="text-xs border-collapse bg-white">
+            <thead>
+              <tr>
+                <th className="px-1 text-left font-normal text-gray-400">标注 \ 簇</th>
+                {clusterColumns.map(({ cluster }) => (
+                  <th key={cluster} className="px-1 font-normal text-gray-500">{cluster === -1 ? '噪声' : `#${cluster + 1}`}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {labelRows.map((label, l) => {
+                const total = confusion.counts[l].reduce((sum, count) => sum + count, 0);
+                return (
+                  <tr key={label}>
+                    <th className="px-1 text-left font-normal text-gray-600 whitespace-nowrap max-w-[10rem] truncate" title={label}>{label}</th>
+                    {clusterColumns.map(({ cluster, c }) => {
+                      const count = confusion.counts[l][c];
+                      return (
+                        <td
+                          key={cluster}
+                          className="px-1 text-center font-mono border border-gray-100"
+                          style={{ backgroundColor: count > 0 ? `rgba(22, 163, 74, ${(0.6 * count / total).toFixed(2)})` : undefined }}
+                        >
+                          {count || ''}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div className="mt-1 text-xs text-gray-400">
+            颜色按所在行（标注类别）的比例{truncated && `；只显示前 ${MAX_TABLE_LABELS} 个类别与前 ${MAX_TABLE_CLUSTERS} 个簇，完整的表见导出`}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
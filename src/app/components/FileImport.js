@@ -0,0 +1,160 @@
+'use client'
+
+import { useState, useRef } from 'react'
+import { parseFile, guessTextColumn, guessWeightColumn, guessLabelColumn, SUPPORTED_EXTENSIONS } from '../fileImport'
+
+const PREVIEW_ROWS = 10;
+
+// 文件导入：拖拽或选择文件，预览并选择文本列、可选的权重列（如查询日志的次数列）与标注列（人工标注的意图，用于评估），-1 为不使用
+export default function FileImport({ imported, onImport, onTextColumnChange, onWeightColumnChange, onLabelColumnChange, onClear, onError }) {
+  const [dragging, setDragging] = useState(false);
+  const [parsing, setParsing] = useState(false);
+  const inputRef = useRef(null);
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    setParsing(true);
+    try {
+      const { headers, rows } = await parseFile(file);
+      if (rows.length === 0) {
+        throw new Error('文件中没有可用的数据');
+      }
+      const textColumn = guessTextColumn(headers, rows);
+      const weightColumn = guessWeightColumn(headers, rows);
+      const labelColumn = guessLabelColumn(headers);
+      onImport({
+        fileName: file.name,
+        headers,
+        rows,
+        textColumn,
+        weightColumn: weightColumn === textColumn ? -1 : weightColumn,
+        labelColumn: labelColumn === textColumn || labelColumn === weightColumn ? -1 : labelColumn
+      });
+    } catch (error) {
+      console.error('导入文件失败:', error);
+      onError(`导入文件失败: ${error.message}`);
+    } finally {
+      setParsing(false);
+      if (inputRef.current) inputRef.current.value = '';
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    handleFile(e.dataTransfer.files[0]);
+  };
+
+  if (!imported) {
+    return (
+      <div
+        className={`
+          p-4 border-2 border-dashed rounded-lg text-center text-sm cursor-pointer transition-colors
+          ${dragging ? 'border-blue-400 bg-blue-50 text-blue-600' : 'border-gray-300 text-gray-500 hover:border-blue-300'}
+        `}
+        onClick={() => inputRef.current?.click()}
+        onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+      >
+        {parsing ? '⟳ 解析文件中...' : `拖拽文件到此处或点击选择（${SUPPORTED_EXTENSIONS.join(' / ')}）`}
+        <input
+          ref={inputRef}
+          type="file"
+          accept={SUPPORTED_EXTENSIONS.join(',')}
+          className="hidden"
+          onChange={(e) => handleFile(e.target.files[0])}
+        />
+      </div>
+    );
+  }
+
+  const { fileName, headers, rows, textColumn } = imported;
+  const weightColumn = imported.weightColumn ?? -1;
+  const labelColumn = imported.labelColumn ?? -1;
+
+  return (
+    <div className="border rounded-lg p-3 bg-gray-50">
+      <div className="flex justify-between items-center mb-2 text-sm">
+        <span className="font-medium truncate">{fileName}（{rows.length} 行）</span>
+        <button
+          onClick={onClear}
+          className="text-xs px-2 py-1 text-gray-600 hover:text-red-600 hover:bg-red-50 rounded transition-colors"
+        >
+          移除文件
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <label className="text-xs text-gray-600">文本列</label>
+        <select
+          className="p-1 text-sm border rounded focus:ring-2 focus:ring-blue-200 focus:outline-none"
+          value={textColumn}
+          onChange={(e) => onTextColumnChange(parseInt(e.target.value))}
+        >
+          {headers.map((header, col) => (
+            <option key={col} value={col}>{header}</option>
+          ))}
+        </select>
+        <label className="text-xs text-gray-600">权重列</label>
+        <select
+          className="p-1 text-sm border rounded focus:ring-2 focus:ring-blue-200 focus:outline-none"
+          value={weightColumn}
+          onChange={(e) => onWeightColumnChange(parseInt(e.target.value))}
+        >
+          <option value={-1}>无</option>
+          {headers.map((header, col) => col !== textColumn && col !== labelColumn && (
+            <option key={col} value={col}>{header}</option>
+          ))}
+        </select>
+        <label className="text-xs text-gray-600">标注列</label>
+        <select
+          className="p-1 text-sm border rounded focus:ring-2 focus:ring-blue-200 focus:outline-none"
+          value={labelColumn}
+          onChange={(e) => onLabelColumnChange(parseInt(e.target.value))}
+        >
+          <option value={-1}>无</option>
+          {headers.map((header, col) => col !== textColumn && col !== weightColumn && (
+            <option key={col} value={col}>{header}</option>
+          ))}
+        </select>
+        <span className="text-xs text-gray-400">其余列作为元数据保留</span>
+      </div>
+
+      <div className="overflow-auto max-h-48 border rounded bg-white">
+        <table className="min-w-full text-xs">
+          <thead className="bg-gray-100 sticky top-0">
+            <tr>
+              {headers.map((header, col) => (
+                <th
+                  key={col}
+                  className={`px-2 py-1 text-left font-medium whitespace-nowrap ${col === textColumn ? 'text-blue-600' : 'text-gray-600'}`}
+                >
+                  {header}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.slice(0, PREVIEW_ROWS).map((row, rowIdx) => (
+              <tr key={rowIdx} className="border-t">
+                {row.map((cell, col) => (
+                  <td
+                    key={col}
+                    className={`px-2 py-1 max-w-xs truncate ${col === textColumn ? 'bg-blue-50' : ''}`}
+                    title={cell}
+                  >
+                    {cell}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {rows.length > PREVIEW_ROWS && (
+        <div className="text-xs text-gray-400 mt-1">仅预览前 {PREVIEW_ROWS} 行</div>
+      )}
+    </div>
+  );
+}
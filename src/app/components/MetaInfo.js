@@ -0,0 +1,11 @@
+// 在文本后展示其元数据
+export default function MetaInfo({ record }) {
+  if (!record) return null;
+  const entries = Object.entries(record.meta).filter(([, value]) => value !== '');
+  if (entries.length === 0) return null;
+  return (
+    <span className="ml-2 text-xs text-gray-400">
+      {entries.map(([column, value]) => `${column}: ${value}`).join(' · ')}
+    </span>
+  );
+}
@@ -0,0 +1,36 @@
+'use client'
+
+import { MODELS, DTYPE_LABELS } from '../models'
+
+const selectClassName = 'p-1 text-sm border rounded focus:ring-2 focus:ring-blue-200 focus:outline-none disabled:bg-gray-100';
+
+// 模型与精度选择，切换后 worker 会重新加载 pipeline
+export default function ModelPicker({ model, dtype, disabled, onChange }) {
+  const current = MODELS[model];
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-1">
+      <select
+        className={selectClassName}
+        value={model}
+        disabled={disabled}
+        onChange={(e) => onChange(e.target.value, MODELS[e.target.value].dtypes[0])}
+      >
+        {Object.entries(MODELS).map(([id, { name }]) => (
+          <option key={id} value={id}>{name}</option>
+        ))}
+      </select>
+      <select
+        className={selectClassName}
+        value={dtype}
+        disabled={disabled}
+        onChange={(e) => onChange(model, e.target.value)}
+      >
+        {current.dtypes.map(value => (
+          <option key={value} value={value}>{DTYPE_LABELS[value]}</option>
+        ))}
+      </select>
+      <span className="text-xs text-gray-500">{current.description}</span>
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+'use client'
+
+import { useState, useRef } from 'react'
+import { SERVER_MODEL_PATH } from '../models'
+
+const SOURCE_LABELS = {
+  remote: '在线下载（Hugging Face）',
+  server: `部署目录（${SERVER_MODEL_PATH}）`,
+  local: '本地文件',
+};
+
+const buttonClassName = 'px-2 py-0.5 text-xs border rounded hover:bg-gray-50 disabled:text-gray-400 disabled:hover:bg-white';
+
+// 模型文件来源：在线下载、构建时配置的部署目录，或用户选择的文件夹 / zip 包
+// 选择本地文件时，池化方式与前缀等设置仍取自上方选中的模型
+export default function ModelSourcePicker({ source, sourceName, disabled, onChange }) {
+  const [choosingLocal, setChoosingLocal] = useState(false);
+  const folderRef = useRef(null);
+  const zipRef = useRef(null);
+
+  const sources = Object.keys(SOURCE_LABELS).filter(type => type !== 'server' || SERVER_MODEL_PATH);
+  const selected = choosingLocal ? 'local' : source;
+
+  const handleSelect = (type) => {
+    if (type === 'local') {
+      setChoosingLocal(true);
+      return;
+    }
+    setChoosingLocal(false);
+    onChange(type);
+  };
+
+  // 文件夹中的文件保留相对路径，名称取顶层文件夹名
+  const handleFolder = (fileList) => {
+    const files = [...fileList].map(file => ({ path: file.webkitRelativePath || file.name, file }));
+    if (files.length === 0) return;
+    setChoosingLocal(false);
+    onChange('local', files, files[0].path.split('/')[0]);
+    folderRef.current.value = '';
+  };
+
+  const handleZip = (file) => {
+    if (!file) return;
+    setChoosingLocal(false);
+    onChange('local', [{ path: file.name, file }], file.name.replace(/\.zip$/i, ''));
+    zipRef.current.value = '';
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-1 text-xs text-gray-600">
+      <span>模型来源</span>
+      <select
+        className="p-1 text-xs border rounded focus:ring-2 focus:ring-blue-200 focus:outline-none disabled:bg-gray-100"
+        value={selected}
+        disabled={disabled}
+        onChange={(e) => handleSelect(e.target.value)}
+      >
+        {sources.map(type => (
+          <option key={type} value={type}>{SOURCE_LABELS[type]}</option>
+        ))}
+      </select>
+      {selected === 'local' && (
+        <>
+          <button className={buttonClassName} disabled={disabled} onClick={() => folderRef.current?.click()}>
+            选择文件夹
+          </button>
+          <button className={buttonClassName} disabled={disabled} onClick={() => zipRef.current?.click()}>
+            选择 zip
+          </button>
+          {source === 'local' && sourceName && !choosingLocal && (
+            <span className="text-gray-500">当前：{sourceName}</span>
+          )}
+          <input
+            ref={folderRef}
+            type="file"
+            webkitdirectory=""
+            multiple
+            className="hidden"
+            onChange={(e) => handleFolder(e.target.files)}
+          />
+          <input
+            ref={zipRef}
+            type="file"
+            accept=".zip"
+            className="hidden"
+            onChange={(e) => handleZip(e.target.files[0])}
+          />
+        </>
+      )}
+    </div>
+  );
+}
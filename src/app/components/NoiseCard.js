@@ -0,0 +1,50 @@
+'use client'
+
+import MetaInfo from './MetaInfo'
+import RecordText from './RecordText'
+import WeightTag from './WeightTag'
+import { startTextDrag, useTextDrop } from './ClusterCard'
+
+// 噪声点列表；提供 curation 时可以勾选文本，或在噪声与簇之间拖拽文本；highlighted 同 ClusterCard
+// noiseWeights 为加权聚类时各噪声文本的权重
+export default function NoiseCard({ noise, noiseIndices, noiseWeights, records, curation, highlighted, title = '噪声点' }) {
+  const { over, handlers } = useTextDrop(curation?.onDropTexts);
+  const weightedSize = noiseWeights?.reduce((sum, weight) => sum + weight, 0);
+
+  return (
+    <div
+      className={`border rounded-lg p-4 bg-gray-100 shadow-sm ${over ? 'ring-2 ring-blue-300' : ''}`}
+      {...handlers}
+    >
+      <h3 className="font-medium mb-2 text-gray-600">
+        {title} - {noise.length} 条文本{noiseWeights && `（加权 ${weightedSize.toLocaleString()}）`}
+      </h3>
+      {noise.length === 0 && (
+        <div className="text-xs text-gray-400">将文本拖到此处标记为噪声</div>
+      )}
+      <ul className={`${curation ? 'list-none pl-1' : 'list-disc pl-5'} space-y-1`}>
+        {noise.map((text, idx) => (
+          <li
+            key={idx}
+            id={`text-${noiseIndices[idx]}`}
+            className={`text-sm text-gray-600 ${curation ? 'cursor-move' : ''} ${highlighted?.has(noiseIndices[idx]) ? 'bg-yellow-100' : ''}`}
+            draggable={!!curation}
+            onDragStart={curation ? (e) => startTextDrag(e, curation.getDragIndices(noiseIndices[idx])) : undefined}
+          >
+            {curation && (
+              <input
+                type="checkbox"
+                className="mr-2 align-middle"
+                checked={curation.selected.has(noiseIndices[idx])}
+                onChange={() => curation.onToggle(noiseIndices[idx])}
+              />
+            )}
+            <RecordText record={records[noiseIndices[idx]]} text={text} />
+            <WeightTag weight={noiseWeights?.[idx]} />
+            <MetaInfo record={records[noiseIndices[idx]]} />
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
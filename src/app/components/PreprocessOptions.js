@@ -0,0 +1,80 @@
+'use client'
+
+import { PREPROCESS_STEPS, compileBlocklist } from '../preprocess'
+
+const inputClassName = 'w-32 p-2 border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-200 focus:outline-none';
+
+// 向量计算前的文本预处理选项
+export default function PreprocessOptions({ options, onChange }) {
+  const setOption = (key, value) => {
+    onChange({ ...options, [key]: value });
+  };
+
+  let blocklistError = null;
+  try {
+    compileBlocklist(options.blocklist);
+  } catch (error) {
+    blocklistError = error.message;
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-x-4 gap-y-1">
+        {PREPROCESS_STEPS.map(step => (
+          <label key={step.key} className="flex items-center gap-1 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={options[step.key]}
+              onChange={(e) => setOption(step.key, e.target.checked)}
+            />
+            {step.label}
+          </label>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-4">
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">最少字符数</label>
+          <input
+            type="number"
+            className={inputClassName}
+            value={options.minLength}
+            onChange={(e) => setOption('minLength', parseInt(e.target.value) || 0)}
+            min="0"
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">最多字符数</label>
+          <input
+            type="number"
+            className={inputClassName}
+            value={options.maxLength}
+            onChange={(e) => setOption('maxLength', parseInt(e.target.value) || 0)}
+            min="0"
+          />
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-xs text-gray-600 mb-1">屏蔽规则（每行一个正则表达式，命中的文本不参与聚类）</label>
+        <textarea
+          className={`w-full h-16 p-2 text-sm font-mono border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-200 focus:outline-none ${blocklistError ? 'border-red-300' : ''}`}
+          value={options.blocklist}
+          onChange={(e) => setOption('blocklist', e.target.value)}
+          placeholder={'^测试\n广告|推广'}
+        />
+        {blocklistError && <p className="text-xs text-red-600">{blocklistError}</p>}
+      </div>
+      <label className="flex items-center gap-1 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={options.collapseDuplicates}
+          onChange={(e) => setOption('collapseDuplicates', e.target.checked)}
+        />
+        合并完全相同的文本
+        <span className="text-xs text-gray-400">（按处理后的文本比较，出现次数计入权重）</span>
+      </label>
+      <p className="text-xs text-gray-400">长度为 0 表示不限，按处理后的文本计算；结果与导出中同时保留原文</p>
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+'use client'
+
+import { useState, useRef } from 'react'
+import { PROJECT_EXTENSION } from '../project'
+
+const buttonClassName = 'text-xs px-2 py-1 border rounded bg-white text-gray-600 hover:bg-blue-50 disabled:text-gray-300 disabled:hover:bg-white transition-colors';
+
+// 项目：保存到浏览器或下载为项目文件，打开已保存的项目或项目文件
+export default function ProjectPanel({ name, onNameChange, projects, canSave, busy, onSave, onDownload, onOpenFile, onOpen, onDelete }) {
+  const [includeEmbeddings, setIncludeEmbeddings] = useState(true);
+  const [expanded, setExpanded] = useState(false);
+  const inputRef = useRef(null);
+
+  return (
+    <div className="mb-4 p-3 border rounded-lg bg-white text-sm">
+      <div className="flex items-center justify-between">
+        <button className="font-medium text-gray-700" onClick={() => setExpanded(!expanded)}>
+          {expanded ? '▾' : '▸'} 项目{projects.length > 0 ? `（已保存 ${projects.length} 个）` : ''}
+        </button>
+        <div className="flex gap-1">
+          <button className={buttonClassName} disabled={busy} onClick={() => inputRef.current?.click()}>
+            打开项目文件
+          </button>
+          <input
+            ref={inputRef}
+            type="file"
+            accept={`${PROJECT_EXTENSION},.json`}
+            className="hidden"
+            onChange={(e) => {
+              if (e.target.files[0]) onOpenFile(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </div>
+      </div>
+
+      {expanded && (
+        <div className="mt-2 space-y-2">
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              className="flex-1 min-w-0 p-1 text-sm border rounded focus:ring-2 focus:ring-blue-200 focus:outline-none"
+              value={name}
+              placeholder="项目名称"
+              onChange={(e) => onNameChange(e.target.value)}
+            />
+            <label className="flex items-center gap-1 text-xs text-gray-600">
+              <input
+                type="checkbox"
+                checked={includeEmbeddings}
+                onChange={(e) => setIncludeEmbeddings(e.target.checked)}
+              />
+              包含向量
+            </label>
+          </div>
+          <div className="flex gap-2">
+            <button className={buttonClassName} disabled={!canSave || busy || !name.trim()} onClick={() => onSave(includeEmbeddings)}>
+              保存到浏览器
+            </button>
+            <button className={buttonClassName} disabled={!canSave || busy || !name.trim()} onClick={() => onDownload(includeEmbeddings)}>
+              下载项目文件
+            </button>
+            {busy && <span className="text-xs text-blue-500">⟳ 处理中...</span>}
+          </div>
+          <p className="text-xs text-gray-400">
+            包含向量时，打开项目后可直接调整、生成散点图或重新聚类，无需重新计算向量；同名项目会被覆盖
+          </p>
+
+          {projects.length > 0 && (
+            <ul className="divide-y border rounded">
+              {projects.map(project => (
+                <li key={project.id} className="flex items-center gap-2 px-2 py-1">
+                  <div className="flex-1 min-w-0">
+                    <div className="truncate">{project.name}</div>
+                    <div className="text-xs text-gray-400">
+                      {new Date(project.savedAt).toLocaleString('zh-CN')} · {project.textCount} 条文本 · {project.clusterCount} 个簇
+                      {project.hasEmbeddings && ' · 含向量'}
+                    </div>
+                  </div>
+                  <button className={buttonClassName} disabled={busy} onClick={() => onOpen(project.id)}>打开</button>
+                  <button
+                    className={`${buttonClassName} text-red-600`}
+                    disabled={busy}
+                    onClick={() => { if (confirm(`确定要删除项目"${project.name}"吗？`)) onDelete(project.id); }}
+                  >
+                    删除
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
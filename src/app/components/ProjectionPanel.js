@@ -0,0 +1,105 @@
+'use client'
+
+import { useState, useMemo, useEffect } from 'react'
+import ScatterPlot from './ScatterPlot'
+import { TSNE_MAX_POINTS } from '../projection'
+
+const SELECTION_PREVIEW = 50;
+
+// 散点图面板：选择降维方法、请求投影、展示套索选中的文本；error 为上次投影的错误
+export default function ProjectionPanel({ results, projection, projectionProgress, error, onProject }) {
+  const [method, setMethod] = useState('pca');
+  const [selected, setSelected] = useState([]);
+
+  // 输入位置 → 簇编号（-1 为噪声）
+  const clusterOf = useMemo(() => {
+    const map = new Map();
+    results.results.forEach((cluster, clusterIdx) => {
+      cluster.indices.forEach(index => map.set(index, clusterIdx));
+    });
+    results.noiseIndices.forEach(index => map.set(index, -1));
+    return map;
+  }, [results]);
+
+  const points = useMemo(() => {
+    if (!projection) return [];
+    return projection.coordinates.map(([x, y], i) => {
+      const index = projection.indices[i];
+      return {
+        x,
+        y,
+        index,
+        cluster: clusterOf.get(index) ?? -1,
+        text: results.records[index]?.text ?? ''
+      };
+    });
+  }, [projection, clusterOf, results]);
+
+  useEffect(() => {
+    setSelected([]);
+  }, [projection]);
+
+  // 参与投影的是有向量的文本（不含被过滤的），与 worker 中判断 TSNE_MAX_POINTS 的点数一致
+  const pointCount = results.results.reduce((sum, cluster) => sum + cluster.indices.length, results.noiseIndices.length);
+  const running = projectionProgress !== null;
+
+  return (
+    <div className="border rounded-lg p-4 bg-white shadow-sm">
+      <div className="flex items-center gap-2 mb-3">
+        <h3 className="font-medium text-blue-600">向量散点图</h3>
+        <select
+          className="p-1 text-sm border rounded focus:ring-2 focus:ring-blue-200 focus:outline-none"
+          value={method}
+          onChange={(e) => setMethod(e.target.value)}
+        >
+          <option value="pca">PCA（快速）</option>
+          <option value="tsne" disabled={pointCount > TSNE_MAX_POINTS}>
+            t-SNE（分离更清晰{pointCount > TSNE_MAX_POINTS ? `，最多 ${TSNE_MAX_POINTS} 条` : ''}）
+          </option>
+        </select>
+        <button
+          onClick={() => onProject(method)}
+          disabled={running}
+          className="text-sm px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:bg-gray-400 transition-colors"
+        >
+          {running ? `⟳ 计算中 ${projectionProgress.current}/${projectionProgress.total}` : '生成散点图'}
+        </button>
+        {projection && (
+          <span className="text-xs text-gray-400">当前: {projection.method === 'tsne' ? 't-SNE' : 'PCA'}</span>
+        )}
+      </div>
+      {error && <p className="mb-2 text-xs text-red-600">{error}</p>}
+
+      {projection && (
+        <ScatterPlot points={points} selected={selected} onSelect={setSelected} />
+      )}
+
+      {selected.length > 0 && (
+        <div className="mt-3 text-sm">
+          <div className="flex justify-between items-center mb-1">
+            <span className="font-medium">已选中 {selected.length} 条文本</span>
+            <button
+              onClick={() => setSelected([])}
+              className="text-xs px-2 py-1 text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded transition-colors"
+            >
+              清除选择
+            </button>
+          </div>
+          <ul className="list-disc pl-5 space-y-1 max-h-48 overflow-y-auto">
+            {selected.slice(0, SELECTION_PREVIEW).map(index => (
+              <li key={index} className="text-gray-700">
+                {results.records[index]?.text}
+                <span className="ml-2 text-xs text-gray-400">
+                  {clusterOf.get(index) >= 0 ? `簇 #${clusterOf.get(index) + 1}` : '噪声点'}
+                </span>
+              </li>
+            ))}
+          </ul>
+          {selected.length > SELECTION_PREVIEW && (
+            <div className="text-xs text-gray-400 mt-1">仅显示前 {SELECTION_PREVIEW} 条</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
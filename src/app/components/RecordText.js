@@ -0,0 +1,10 @@
+// 展示原文；预处理改变了文本时，在后面以灰色显示参与聚类的文本
+export default function RecordText({ record, text }) {
+  if (!record || record.text === text) return text;
+  return (
+    <>
+      {record.text}
+      <span className="ml-2 text-xs text-gray-400">→ {text}</span>
+    </>
+  );
+}
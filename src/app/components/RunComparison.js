@@ -0,0 +1,169 @@
+'use client'
+
+import { useState } from 'react'
+import { ALGORITHMS } from '../clustering'
+import { compareRuns } from '../runComparison'
+
+// 重叠矩阵最多显示的簇数（按簇顺序取前若干个，噪声始终显示）
+const MAX_MATRIX_CLUSTERS = 20;
+const MAX_MOVED_SHOWN = 200;
+
+const selectClassName = 'p-1 text-xs border rounded focus:ring-2 focus:ring-blue-200 focus:outline-none';
+
+// 运行的简要说明：编号、完成时间、算法与参数、模型、簇数
+function describeRun({ id, finishedAt, results }) {
+  const run = results.run ?? {};
+  const time = new Date(finishedAt).toLocaleTimeString();
+  const method = run.mode === 'classify'
+    ? '归类'
+    : `${ALGORITHMS[run.algorithm]?.name ?? run.algorithm} ${Object.entries(run.params ?? {}).map(([key, value]) => `${key}=${value}`).join(' ')}`;
+  return `运行 ${id} · ${time} · ${method} · ${run.model ?? ''} · ${results.results.length} 个簇`;
+}
+
+const clusterName = (results, clusterIdx) => {
+  if (clusterIdx === -1) return '噪声';
+  const cluster = results.results[clusterIdx];
+  return `#${clusterIdx + 1} ${cluster.name || cluster.label}`;
+};
+
+// 对比会话中的两次运行：ARI / NMI、簇之间的重叠矩阵、拆分与合并的簇以及移动的文本
+// history 为 runComparison.js 中 addRun 维护的运行历史，至少两次运行时才显示
+export default function RunComparison({ history }) {
+  const [expanded, setExpanded] = useState(false);
+  const [beforeId, setBeforeId] = useState(null);
+  const [afterId, setAfterId] = useState(null);
+
+  // 默认对比最近两次；选中的运行已被移出历史时同样回到默认
+  const before = history.find(entry => entry.id === beforeId) ?? history[history.length - 2];
+  const after = history.find(entry => entry.id === afterId) ?? history[history.length - 1];
+
+  const runSelect = (value, onChange) => (
+    <select className={selectClassName} value={value.id} onChange={(e) => onChange(Number(e.target.value))}>
+      {history.map(entry => (
+        <option key={entry.id} value={entry.id}>{describeRun(entry)}</option>
+      ))}
+    </select>
+  );
+
+  const comparison = expanded ? compareRuns(before.results, after.results) : null;
+  const rows = comparison?.overlap.rows.filter(cluster => cluster === -1 || cluster < MAX_MATRIX_CLUSTERS);
+  const cols = comparison?.overlap.cols.filter(cluster => cluster === -1 || cluster < MAX_MATRIX_CLUSTERS);
+  const truncated = comparison && (rows.length < comparison.overlap.rows.length || cols.length < comparison.overlap.cols.length);
+  const countOf = (row, col) => comparison.overlap.counts[comparison.overlap.rows.indexOf(row)][comparison.overlap.cols.indexOf(col)];
+  const rowSize = row => comparison.overlap.counts[comparison.overlap.rows.indexOf(row)].reduce((sum, count) => sum + count, 0);
+
+  return (
+    <div className="p-3 border rounded-lg bg-white text-sm">
+      <button className="font-medium text-gray-700" onClick={() => setExpanded(!expanded)}>
+        {expanded ? '▾' : '▸'} 运行对比
+      </button>
+      <span className="ml-2 text-xs text-gray-400">本次会话共 {history.length} 次运行，结果不含手动调整</span>
+
+      {expanded && (
+        <div className="mt-2 space-y-3">
+          <div className="space-y-1">
+            <div className="flex items-center gap-2 text-xs text-gray-600">
+              <span className="w-6">A</span>
+              {runSelect(before, setBeforeId)}
+            </div>
+            <div className="flex items-center gap-2 text-xs text-gray-600">
+              <span className="w-6">B</span>
+              {runSelect(after, setAfterId)}
+            </div>
+          </div>
+
+          {comparison.compared === 0 ? (
+            <div className="text-xs text-gray-500">两次运行没有共同的文本</div>
+          ) : (
+            <>
+              <div className="text-gray-700">
+                ARI <span className="font-mono">{comparison.ari.toFixed(3)}</span>
+                <span className="mx-2 text-gray-300">|</span>
+                NMI <span className="font-mono">{comparison.nmi.toFixed(3)}</span>
+                <span className="ml-2 text-xs text-gray-400">
+                  比较 {comparison.compared} 条文本
+                  {(comparison.onlyBefore > 0 || comparison.onlyAfter > 0) &&
+                    `（只在 A 中 ${comparison.onlyBefore} 条，只在 B 中 ${comparison.onlyAfter} 条，不参与比较）`}
+                  ，噪声视为一组
+                </span>
+              </div>
+
+              {(comparison.splits.length > 0 || comparison.merges.length > 0) && (
+                <ul className="text-xs text-gray-600 space-y-1">
+                  {comparison.splits.map(({ cluster, into }) => (
+                    <li key={`split-${cluster}`}>
+                      A {clusterName(before.results, cluster)} 拆分为 {into.map(target => `B ${clusterName(after.results, target.cluster)}（${target.count}）`).join('、')}
+                    </li>
+                  ))}
+                  {comparison.merges.map(({ cluster, from }) => (
+                    <li key={`merge-${cluster}`}>
+                      B {clusterName(after.results, cluster)} 由 {from.map(source => `A ${clusterName(before.results, source.cluster)}（${source.count}）`).join('、')} 合并而成
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <div className="overflow-x-auto">
+                <table className="text-xs border-collapse">
+                  <thead>
+                    <tr>
+                      <th className="px-1 text-left font-normal text-gray-400">A \ B</th>
+                      {cols.map(col => (
+                        <th key={col} className="px-1 font-normal text-gray-500" title={clusterName(after.results, col)}>
+                          {col === -1 ? '噪声' : `#${col + 1}`}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map(row => (
+                      <tr key={row}>
+                        <th className="px-1 text-left font-normal text-gray-500 whitespace-nowrap max-w-[10rem] truncate" title={clusterName(before.results, row)}>
+                          {clusterName(before.results, row)}
+                        </th>
+                        {cols.map(col => {
+                          const count = countOf(row, col);
+                          return (
+                            <td
+                              key={col}
+                              className="px-1 text-center font-mono border border-gray-100"
+                              style={{ backgroundColor: count > 0 ? `rgba(59, 130, 246, ${(0.6 * count / rowSize(row)).toFixed(2)})` : undefined }}
+                            >
+                              {count || ''}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="mt-1 text-xs text-gray-400">
+                  单元格为同时属于 A 的簇与 B 的簇的文本数，颜色按所在行的比例
+                  {truncated && `；只显示前 ${MAX_MATRIX_CLUSTERS} 个簇`}
+                </div>
+              </div>
+
+              <div>
+                <div className="text-xs font-medium text-gray-600">移动的文本 - {comparison.moved.length} 条</div>
+                <div className="text-xs text-gray-400">不在原簇主要去向（重叠最多的 B 簇）中的文本，以及不再是噪声的文本</div>
+                <ul className="mt-1 space-y-1 max-h-64 overflow-y-auto">
+                  {comparison.moved.slice(0, MAX_MOVED_SHOWN).map(({ index, from, to }) => (
+                    <li key={index} className="flex items-baseline gap-2">
+                      <span className="flex-1 text-gray-700">{after.results.records[index]?.text}</span>
+                      <span className="text-xs text-gray-500 whitespace-nowrap">
+                        {clusterName(before.results, from)} → {clusterName(after.results, to)}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+                {comparison.moved.length > MAX_MOVED_SHOWN && (
+                  <div className="text-xs text-gray-400">只显示前 {MAX_MOVED_SHOWN} 条</div>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
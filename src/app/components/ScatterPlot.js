@@ -0,0 +1,238 @@
+'use client'
+
+import { useState, useEffect, useRef, useCallback } from 'react'
+
+const WIDTH = 600;
+const HEIGHT = 400;
+const HOVER_RADIUS = 6;
+
+// 按簇编号生成区分度较高的颜色，噪声点为灰色
+export function clusterColor(cluster) {
+  if (cluster < 0) return '#9ca3af';
+  return `hsl(${(cluster * 137.508) % 360}, 65%, 50%)`;
+}
+
+// 判断点是否在多边形内（射线法）
+function pointInPolygon(x, y, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// 计算使所有点适配画布的初始视图
+function fitView(points) {
+  if (points.length === 0) return { scale: 1, centerX: 0, centerY: 0 };
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  for (const { x, y } of points) {
+    if (x < minX) minX = x;
+    if (x > maxX) maxX = x;
+    if (y < minY) minY = y;
+    if (y > maxY) maxY = y;
+  }
+  const scale = 0.9 * Math.min(WIDTH / ((maxX - minX) || 1), HEIGHT / ((maxY - minY) || 1));
+  return { scale, centerX: (minX + maxX) / 2, centerY: (minY + maxY) / 2 };
+}
+
+// 二维散点图：滚轮缩放、拖拽平移、悬停显示文本、套索选择
+// points: [{ x, y, cluster, text, index }]，cluster 为 -1 表示噪声
+export default function ScatterPlot({ points, selected, onSelect }) {
+  const canvasRef = useRef(null);
+  const [view, setView] = useState(() => fitView(points));
+  const [mode, setMode] = useState('pan'); // pan, lasso
+  const [hover, setHover] = useState(null); // { point, left, top }
+  const drag = useRef(null); // { type: 'pan', startX, startY, view } | { type: 'lasso', path }
+
+  useEffect(() => {
+    setView(fitView(points));
+  }, [points]);
+
+  const toScreen = useCallback((point) => [
+    (point.x - view.centerX) * view.scale + WIDTH / 2,
+    (point.y - view.centerY) * -view.scale + HEIGHT / 2
+  ], [view]);
+
+  const draw = useCallback(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, WIDTH, HEIGHT);
+
+    const selectedSet = new Set(selected);
+    const hasSelection = selectedSet.size > 0;
+
+    // 先画噪声点，再画簇内点，避免噪声遮挡
+    const ordered = [...points].sort((a, b) => (a.cluster < 0 ? 0 : 1) - (b.cluster < 0 ? 0 : 1));
+    ordered.forEach(point => {
+      const [sx, sy] = toScreen(point);
+      if (sx < -5 || sx > WIDTH + 5 || sy < -5 || sy > HEIGHT + 5) return;
+      ctx.globalAlpha = hasSelection && !selectedSet.has(point.index) ? 0.2 : 0.9;
+      ctx.strokeStyle = clusterColor(point.cluster);
+      ctx.fillStyle = clusterColor(point.cluster);
+      ctx.beginPath();
+      if (point.cluster < 0) {
+        // 噪声点：空心圆
+        ctx.arc(sx, sy, 2.5, 0, Math.PI * 2);
+        ctx.stroke();
+      } else {
+        ctx.arc(sx, sy, 3.5, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    });
+    ctx.globalAlpha = 1;
+
+    if (drag.current?.type === 'lasso' && drag.current.path.length > 1) {
+      ctx.strokeStyle = '#2563eb';
+      ctx.setLineDash([4, 3]);
+      ctx.beginPath();
+      drag.current.path.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+      ctx.closePath();
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+  }, [points, selected, toScreen]);
+
+  useEffect(() => {
+    draw();
+  }, [draw]);
+
+  const getMousePosition = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return [
+      (e.clientX - rect.left) * WIDTH / rect.width,
+      (e.clientY - rect.top) * HEIGHT / rect.height
+    ];
+  };
+
+  const findNearest = (x, y) => {
+    let nearest = null;
+    let nearestDistance = HOVER_RADIUS;
+    points.forEach(point => {
+      const [sx, sy] = toScreen(point);
+      const distance = Math.hypot(sx - x, sy - y);
+      if (distance < nearestDistance) {
+        nearestDistance = distance;
+        nearest = point;
+      }
+    });
+    return nearest;
+  };
+
+  const handleMouseDown = (e) => {
+    const [x, y] = getMousePosition(e);
+    drag.current = mode === 'lasso' || e.shiftKey
+      ? { type: 'lasso', path: [[x, y]] }
+      : { type: 'pan', startX: x, startY: y, view };
+  };
+
+  const handleMouseMove = (e) => {
+    const [x, y] = getMousePosition(e);
+
+    if (drag.current?.type === 'pan') {
+      const { startX, startY, view: startView } = drag.current;
+      setView({
+        ...startView,
+        centerX: startView.centerX - (x - startX) / startView.scale,
+        centerY: startView.centerY + (y - startY) / startView.scale
+      });
+      return;
+    }
+
+    if (drag.current?.type === 'lasso') {
+      drag.current.path.push([x, y]);
+      draw();
+      return;
+    }
+
+    const nearest = findNearest(x, y);
+    setHover(nearest ? { point: nearest, left: e.nativeEvent.offsetX, top: e.nativeEvent.offsetY } : null);
+  };
+
+  const handleMouseUp = () => {
+    if (drag.current?.type === 'lasso') {
+      const { path } = drag.current;
+      if (path.length > 2) {
+        onSelect(points
+          .filter(point => pointInPolygon(...toScreen(point), path))
+          .map(point => point.index));
+      }
+    }
+    drag.current = null;
+    draw();
+  };
+
+  // 以鼠标位置为中心缩放；React 的 onWheel 为被动监听，无法阻止页面滚动，因此手动注册
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const rect = canvas.getBoundingClientRect();
+      const x = (e.clientX - rect.left) * WIDTH / rect.width;
+      const y = (e.clientY - rect.top) * HEIGHT / rect.height;
+      const factor = e.deltaY < 0 ? 1.2 : 1 / 1.2;
+      setView(current => {
+        const dataX = (x - WIDTH / 2) / current.scale + current.centerX;
+        const dataY = -(y - HEIGHT / 2) / current.scale + current.centerY;
+        const scale = current.scale * factor;
+        return {
+          scale,
+          centerX: dataX - (x - WIDTH / 2) / scale,
+          centerY: dataY + (y - HEIGHT / 2) / scale
+        };
+      });
+    };
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-2 text-xs">
+        {['pan', 'lasso'].map(value => (
+          <button
+            key={value}
+            onClick={() => setMode(value)}
+            className={`px-2 py-1 rounded transition-colors ${mode === value ? 'bg-blue-500 text-white' : 'text-gray-600 hover:bg-blue-50'}`}
+          >
+            {value === 'pan' ? '拖拽平移' : '套索选择'}
+          </button>
+        ))}
+        <button
+          onClick={() => setView(fitView(points))}
+          className="px-2 py-1 text-gray-600 hover:bg-blue-50 rounded transition-colors"
+        >
+          重置视图
+        </button>
+        <span className="text-gray-400">滚轮缩放 · 按住 Shift 拖拽也可套索选择</span>
+      </div>
+      <div className="relative">
+        <canvas
+          ref={canvasRef}
+          width={WIDTH}
+          height={HEIGHT}
+          className={`w-full border rounded-lg bg-white ${mode === 'lasso' ? 'cursor-crosshair' : 'cursor-grab'}`}
+          onMouseDown={handleMouseDown}
+          onMouseMove={handleMouseMove}
+          onMouseUp={handleMouseUp}
+          onMouseLeave={() => { setHover(null); handleMouseUp(); }}
+        />
+        {hover && (
+          <div
+            className="absolute z-10 max-w-xs px-2 py-1 text-xs bg-gray-800 text-white rounded shadow pointer-events-none"
+            style={{ left: hover.left + 10, top: hover.top + 10 }}
+          >
+            <div>{hover.point.text}</div>
+            <div className="text-gray-300">
+              {hover.point.cluster < 0 ? '噪声点' : `簇 #${hover.point.cluster + 1}`}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
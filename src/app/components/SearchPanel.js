@@ -0,0 +1,72 @@
+'use client'
+
+import { useState } from 'react'
+import { DEFAULT_TOP_K } from '../search'
+
+// 语义检索：输入查询，列出最相似的文本及其相似度与所属簇，点击定位到结果中的文本
+// getAssignment(index) 返回文本当前所属簇的名称，噪声返回 null；error 为上次检索的错误
+export default function SearchPanel({ search, pending, error, disabled, records, getAssignment, onSearch, onClear, onLocate }) {
+  const [query, setQuery] = useState('');
+  const [topK, setTopK] = useState(DEFAULT_TOP_K);
+
+  const submit = () => {
+    if (query.trim() && !disabled && !pending) onSearch(query, topK);
+  };
+
+  return (
+    <div className="p-3 border rounded-lg bg-white text-sm">
+      <div className="flex items-center gap-2">
+        <input
+          className="flex-1 min-w-0 p-1 text-sm border rounded focus:ring-2 focus:ring-blue-200 focus:outline-none"
+          value={query}
+          placeholder="语义检索，例如：积分兑换"
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') submit(); }}
+        />
+        <label className="flex items-center gap-1 text-xs text-gray-600">
+          前
+          <input
+            type="number"
+            className="w-14 p-1 border rounded focus:outline-none"
+            value={topK}
+            onChange={(e) => setTopK(parseInt(e.target.value) || DEFAULT_TOP_K)}
+            min="1"
+          />
+          条
+        </label>
+        <button
+          className="text-xs px-2 py-1 border rounded bg-white text-gray-600 hover:bg-blue-50 disabled:text-gray-300 disabled:hover:bg-white transition-colors"
+          disabled={disabled || pending || !query.trim()}
+          onClick={submit}
+        >
+          {pending ? '⟳ 检索中...' : '检索'}
+        </button>
+        {search && (
+          <button className="text-xs px-2 py-1 text-gray-500 hover:text-gray-700" onClick={onClear}>清除</button>
+        )}
+      </div>
+
+      {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+
+      {search && (
+        <ol className="mt-2 space-y-1">
+          {search.matches.map(({ index, score }, rank) => {
+            const cluster = getAssignment(index);
+            return (
+              <li
+                key={index}
+                className="flex items-baseline gap-2 px-1 rounded cursor-pointer hover:bg-yellow-50"
+                onClick={() => onLocate(index)}
+              >
+                <span className="w-5 text-right text-xs text-gray-400">{rank + 1}</span>
+                <span className="flex-1 text-gray-700">{records[index]?.text}</span>
+                <span className="text-xs text-gray-400 whitespace-nowrap">{cluster ?? '噪声'}</span>
+                <span className="text-xs text-gray-400 font-mono">{score.toFixed(3)}</span>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+'use client'
+
+import { useState } from 'react'
+import AlgorithmParams from './AlgorithmParams'
+import { getDefaultParams } from '../clustering'
+
+// 细分一个簇：选择算法与（通常更严格的）参数，只对该簇的文本重新聚类
+// defaults 为 { algorithm, params }，初始取本次聚类的算法与参数
+export default function SubclusterForm({ defaults, pending, hasSubclusters, onSubmit, onClear, onClose }) {
+  const [algorithm, setAlgorithm] = useState(defaults.algorithm);
+  const [paramsByAlgorithm, setParamsByAlgorithm] = useState(() => ({
+    ...getDefaultParams(),
+    [defaults.algorithm]: { ...getDefaultParams()[defaults.algorithm], ...defaults.params }
+  }));
+
+  return (
+    <div className="mb-3 p-3 border rounded-lg bg-gray-50">
+      <div className="mb-2 text-xs text-gray-500">
+        只对本簇的文本重新聚类（使用已有向量），子簇编号为 #簇.子簇；DBSCAN 可使用比全局更小的 Epsilon
+      </div>
+      <AlgorithmParams
+        algorithm={algorithm}
+        params={paramsByAlgorithm[algorithm]}
+        onAlgorithmChange={setAlgorithm}
+        onParamsChange={(params) => setParamsByAlgorithm({ ...paramsByAlgorithm, [algorithm]: params })}
+      />
+      <div className="flex gap-2 mt-3">
+        <button
+          className="text-xs px-3 py-1 rounded bg-blue-500 text-white hover:bg-blue-600 disabled:bg-gray-300 transition-colors"
+          disabled={pending}
+          onClick={() => onSubmit(algorithm, paramsByAlgorithm[algorithm])}
+        >
+          {pending ? '⟳ 处理中...' : '细分'}
+        </button>
+        {hasSubclusters && (
+          <button
+            className="text-xs px-3 py-1 border rounded bg-white text-gray-600 hover:bg-blue-50 disabled:text-gray-300 transition-colors"
+            disabled={pending}
+            onClick={onClear}
+          >
+            取消细分
+          </button>
+        )}
+        <button className="text-xs px-2 py-1 text-gray-500 hover:text-gray-700" onClick={onClose}>收起</button>
+      </div>
+    </div>
+  );
+}
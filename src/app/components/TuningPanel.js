@@ -0,0 +1,151 @@
+'use client'
+
+const WIDTH = 400;
+const HEIGHT = 160;
+const PADDING = { left: 36, right: 12, top: 10, bottom: 22 };
+const PLOT_WIDTH = WIDTH - PADDING.left - PADDING.right;
+const PLOT_HEIGHT = HEIGHT - PADDING.top - PADDING.bottom;
+
+const SERIES = [
+  { key: 'clusters', label: '簇数量', color: '#3b82f6' },
+  { key: 'noiseRatio', label: '噪声比例', color: '#f97316' },
+  { key: 'silhouette', label: '轮廓系数', color: '#16a34a' },
+];
+
+const STAGE_LABELS = { kdistance: '计算 k-距离', neighbors: '计算邻域', sweep: '扫描 epsilon' };
+
+const toX = (ratio) => PADDING.left + ratio * PLOT_WIDTH;
+const toY = (ratio) => PADDING.top + (1 - ratio) * PLOT_HEIGHT;
+
+// 升序的 k-距离曲线，标出拐点与当前 epsilon，点击曲线应用对应的 epsilon
+function KDistanceChart({ tuning, epsilon, onApply }) {
+  const { curve, knee } = tuning;
+  const maxEpsilon = Math.max(curve[curve.length - 1].epsilon, epsilon, 1e-6);
+  const y = (value) => toY(Math.min(value, maxEpsilon) / maxEpsilon);
+  const path = curve.map(point => `${toX(point.position)},${y(point.epsilon)}`).join(' ');
+
+  const handleClick = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const position = ((e.clientX - rect.left) / rect.width * WIDTH - PADDING.left) / PLOT_WIDTH;
+    const nearest = curve.reduce((best, point) => (
+      Math.abs(point.position - position) < Math.abs(best.position - position) ? point : best
+    ));
+    onApply(Math.round(nearest.epsilon * 1000) / 1000);
+  };
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full cursor-crosshair" onClick={handleClick}>
+      <line x1={PADDING.left} y1={toY(0)} x2={WIDTH - PADDING.right} y2={toY(0)} stroke="#d1d5db" />
+      <line x1={PADDING.left} y1={toY(0)} x2={PADDING.left} y2={toY(1)} stroke="#d1d5db" />
+      <text x={PADDING.left - 4} y={toY(1) + 4} textAnchor="end" fontSize="9" fill="#6b7280">{maxEpsilon.toFixed(2)}</text>
+      <text x={PADDING.left - 4} y={toY(0)} textAnchor="end" fontSize="9" fill="#6b7280">0</text>
+      <text x={WIDTH - PADDING.right} y={HEIGHT - 6} textAnchor="end" fontSize="9" fill="#6b7280">按 k-距离排序的文本 →</text>
+      <line
+        x1={PADDING.left} y1={y(epsilon)} x2={WIDTH - PADDING.right} y2={y(epsilon)}
+        stroke="#9ca3af" strokeDasharray="4 3"
+      />
+      <polyline points={path} fill="none" stroke="#3b82f6" strokeWidth="1.5" />
+      <circle cx={toX(knee.position)} cy={y(knee.epsilon)} r="4" fill="#ef4444">
+        <title>拐点 epsilon = {knee.epsilon}</title>
+      </circle>
+      <text x={toX(knee.position) - 6} y={y(knee.epsilon) - 6} textAnchor="end" fontSize="10" fill="#ef4444">
+        拐点 {knee.epsilon}
+      </text>
+    </svg>
+  );
+}
+
+// epsilon 扫描结果：簇数量（按最大值缩放）、噪声比例与轮廓系数，点击某一列应用该 epsilon
+function SweepChart({ tuning, epsilon, onApply }) {
+  const { sweep } = tuning;
+  const maxClusters = Math.max(1, ...sweep.map(row => row.clusters));
+  const x = (i) => toX(sweep.length > 1 ? i / (sweep.length - 1) : 0.5);
+  const ratio = (row, key) => {
+    if (key === 'clusters') return row.clusters / maxClusters;
+    return Math.max(0, row[key] ?? 0);
+  };
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full">
+      <line x1={PADDING.left} y1={toY(0)} x2={WIDTH - PADDING.right} y2={toY(0)} stroke="#d1d5db" />
+      <text x={PADDING.left - 4} y={toY(1) + 4} textAnchor="end" fontSize="9" fill="#6b7280">1</text>
+      <text x={PADDING.left - 4} y={toY(0)} textAnchor="end" fontSize="9" fill="#6b7280">0</text>
+      {sweep.map((row, i) => (
+        <g key={row.epsilon} className="cursor-pointer" onClick={() => onApply(row.epsilon)}>
+          <rect
+            x={x(i) - 8} y={PADDING.top} width="16" height={PLOT_HEIGHT}
+            fill={row.epsilon === epsilon ? '#dbeafe' : 'transparent'}
+          />
+          <text x={x(i)} y={HEIGHT - 6} textAnchor="middle" fontSize="9" fill="#6b7280">{row.epsilon}</text>
+          <title>
+            {`epsilon ${row.epsilon}：${row.clusters} 个簇，噪声 ${(row.noiseRatio * 100).toFixed(1)}%，轮廓系数 ${row.silhouette == null ? '-' : row.silhouette.toFixed(3)}`}
+          </title>
+        </g>
+      ))}
+      {SERIES.map(({ key, color }) => (
+        <g key={key} pointerEvents="none">
+          <polyline
+            points={sweep.map((row, i) => `${x(i)},${toY(ratio(row, key))}`).join(' ')}
+            fill="none" stroke={color} strokeWidth="1.5"
+          />
+          {sweep.map((row, i) => (
+            <circle key={row.epsilon} cx={x(i)} cy={toY(ratio(row, key))} r="3" fill={color} />
+          ))}
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+// 参数建议面板：基于已有向量绘制 k-距离曲线并扫描 epsilon，点击图表应用参数并重新聚类；error 为上次分析的错误
+export default function TuningPanel({ tuning, tuningProgress, error, epsilon, minPts, disabled, onTune, onApply }) {
+  const running = tuningProgress !== null;
+
+  return (
+    <div className="border rounded-lg p-4 bg-white shadow-sm">
+      <div className="flex items-center gap-2 mb-3">
+        <h3 className="font-medium text-blue-600">DBSCAN 参数建议</h3>
+        <button
+          onClick={onTune}
+          disabled={disabled || running}
+          className="text-sm px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:bg-gray-400 transition-colors"
+        >
+          {running
+            ? `⟳ ${STAGE_LABELS[tuningProgress.stage] ?? '计算中'} ${tuningProgress.current}/${tuningProgress.total}`
+            : `分析（MinPts = ${minPts}）`}
+        </button>
+        {tuning && tuning.sampled && (
+          <span className="text-xs text-gray-400">k-距离曲线基于抽样文本</span>
+        )}
+      </div>
+      {error && <p className="mb-2 text-xs text-red-600">{error}</p>}
+
+      {tuning && (
+        <div className="space-y-3">
+          <div>
+            <div className="text-xs text-gray-600 mb-1">
+              k-距离曲线（k = {tuning.k}）：拐点附近的 epsilon 通常较合适，虚线为当前值，点击曲线应用
+            </div>
+            <KDistanceChart tuning={tuning} epsilon={epsilon} onApply={(value) => onApply(value, tuning.minPts)} />
+          </div>
+          <div>
+            <div className="flex flex-wrap items-center gap-3 text-xs text-gray-600 mb-1">
+              <span>epsilon 扫描（MinPts = {tuning.minPts}），点击某一列应用：</span>
+              {SERIES.map(({ key, label, color }) => (
+                <span key={key} className="flex items-center gap-1">
+                  <span className="inline-block w-3 h-0.5" style={{ backgroundColor: color }} />
+                  {label}{key === 'clusters' ? `（最多 ${Math.max(0, ...tuning.sweep.map(row => row.clusters))}）` : ''}
+                </span>
+              ))}
+            </div>
+            {tuning.sweep.length > 0 ? (
+              <SweepChart tuning={tuning} epsilon={epsilon} onApply={(value) => onApply(value, tuning.minPts)} />
+            ) : (
+              <div className="text-xs text-gray-400">没有可扫描的 epsilon</div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
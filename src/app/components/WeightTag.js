@@ -0,0 +1,7 @@
+// 文本的权重（出现次数），权重为 1 或未加权时不显示
+export default function WeightTag({ weight }) {
+  if (weight === undefined || weight === null || weight === 1) return null;
+  return (
+    <span className="ml-1 px-1 text-xs text-purple-700 bg-purple-50 rounded">×{weight.toLocaleString()}</span>
+  );
+}
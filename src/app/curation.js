@@ -0,0 +1,122 @@
+// 手动调整聚类结果：合并、拆分、移动文本、重命名，以及撤销 / 重做
+// 调整状态 { clusters: [{ indices, name, frozenId, subclusters }], noiseIndices }，indices 为文本在输入中的位置，name 为空时使用自动标签，
+// frozenId 为归类模式下对应的冻结簇编号，subclusters 为细分得到的子簇（每个子簇为 indices 的子集），未细分时为 null
+// 所有操作都返回新状态，不修改原状态
+
+// 撤销历史的最大步数
+const MAX_HISTORY = 100;
+
+// 从聚类结果创建初始状态
+export function createCuration(results) {
+    return {
+        clusters: results.results.map(cluster => ({
+            indices: cluster.indices,
+            name: cluster.name ?? null,
+            frozenId: cluster.frozenId ?? null,
+            subclusters: cluster.subclusters ? cluster.subclusters.results.map(subcluster => subcluster.indices) : null
+        })),
+        noiseIndices: results.noiseIndices
+    };
+}
+
+// 去掉空簇
+function removeEmpty(state) {
+    return { ...state, clusters: state.clusters.filter(cluster => cluster.indices.length > 0) };
+}
+
+// 子簇去掉空的子簇，全部为空时视为未细分
+function normalizeSubclusters(subclusters) {
+    const remaining = subclusters?.filter(subcluster => subcluster.length > 0) ?? [];
+    return remaining.length > 0 ? remaining : null;
+}
+
+// 将文本移动到目标簇；target 为簇下标，-1 为噪声，'new' 为新建一个簇（即按选择拆分）
+// 移入的文本不属于目标簇的任何子簇
+export function moveTexts(state, indices, target) {
+    const moving = new Set(indices);
+    const clusters = state.clusters.map(cluster => ({
+        ...cluster,
+        indices: cluster.indices.filter(index => !moving.has(index)),
+        subclusters: normalizeSubclusters(cluster.subclusters?.map(subcluster => subcluster.filter(index => !moving.has(index))))
+    }));
+    let noiseIndices = state.noiseIndices.filter(index => !moving.has(index));
+
+    if (target === 'new') {
+        clusters.push({ indices: [...moving], name: null, frozenId: null, subclusters: null });
+    } else if (target === -1) {
+        noiseIndices = [...noiseIndices, ...moving];
+    } else {
+        clusters[target] = { ...clusters[target], indices: [...clusters[target].indices, ...moving] };
+    }
+    return removeEmpty({ clusters, noiseIndices });
+}
+
+// 将 source 簇合并到 target 簇，保留 target 的名称，source 的子簇排在 target 的子簇之后
+export function mergeClusters(state, source, target) {
+    if (source === target) return state;
+    const clusters = state.clusters.map((cluster, i) => {
+        if (i === target) {
+            return {
+                ...cluster,
+                indices: [...cluster.indices, ...state.clusters[source].indices],
+                subclusters: normalizeSubclusters([...(cluster.subclusters ?? []), ...(state.clusters[source].subclusters ?? [])])
+            };
+        }
+        if (i === source) return { ...cluster, indices: [] };
+        return cluster;
+    });
+    return removeEmpty({ ...state, clusters });
+}
+
+// 重命名簇，空名称恢复为自动标签
+export function renameCluster(state, clusterIdx, name) {
+    const trimmed = name.trim();
+    return {
+        ...state,
+        clusters: state.clusters.map((cluster, i) => (i === clusterIdx ? { ...cluster, name: trimmed || null } : cluster))
+    };
+}
+
+// 设置簇的子簇（细分结果），subclusters 为空或 null 时取消细分
+export function setSubclusters(state, clusterIdx, subclusters) {
+    return {
+        ...state,
+        clusters: state.clusters.map((cluster, i) => (i === clusterIdx ? { ...cluster, subclusters: normalizeSubclusters(subclusters) } : cluster))
+    };
+}
+
+// 撤销历史 { original, past, present, future }
+// original 为聚类给出的初始状态，past 超出 MAX_HISTORY 被截断后仍可重置到它
+export function createHistory(present) {
+    return { original: present, past: [], present, future: [] };
+}
+
+export function pushHistory(history, present) {
+    if (present === history.present) return history;
+    return {
+        ...history,
+        past: [...history.past, history.present].slice(-MAX_HISTORY),
+        present,
+        future: []
+    };
+}
+
+export function undo(history) {
+    if (history.past.length === 0) return history;
+    return {
+        ...history,
+        past: history.past.slice(0, -1),
+        present: history.past[history.past.length - 1],
+        future: [history.present, ...history.future]
+    };
+}
+
+export function redo(history) {
+    if (history.future.length === 0) return history;
+    return {
+        ...history,
+        past: [...history.past, history.present],
+        present: history.future[0],
+        future: history.future.slice(1)
+    };
+}
@@ -1,3 +1,5 @@
+import { computeNeighbors } from './neighbors.js';
+
 // 计算两个向量之间的相似度（点积，因为向量已经归一化）
 function vectorSimilarity(point1, point2) {
     let dotProduct = 0;
@@ -8,7 +10,8 @@ function vectorSimilarity(point1, point2) {
 }
 
 // 如果支持 WebGPU，使用 GPU 计算相似度矩阵
-async function computeDistanceMatrix(points, useGPU = false) {
+// 会构造完整的 n×n 矩阵，仅用于需要全部两两距离的算法（HDBSCAN、层次聚类）
+export async function computeDistanceMatrix(points, useGPU = false) {
     if (useGPU && 'gpu' in navigator) {
         try {
             const adapter = await navigator.gpu.requestAdapter();
@@ -119,77 +122,57 @@ function computeDistanceMatrixCPU(points) {
 }
 
 // DBSCAN 主算法
-export async function dbscan(points, epsilon, minPts, useGPU = false) {
-    const visited = new Set();
-    const noise = new Set();
-    const clusters = [];
-    const assignments = new Array(points.length).fill(null);
-    const similarityMatrix = await computeDistanceMatrix(points, useGPU);
-
-    function getNeighborsFromMatrix(pointIndex) {
-        const neighbors = [];
-        for (let i = 0; i < points.length; i++) {
-            if (similarityMatrix[pointIndex][i] >= epsilon) {
-                neighbors.push(i);
-            }
-        }
-        return neighbors;
-    }
-
-    function expandCluster(pointIndex, neighbors, clusterId) {
-        assignments[pointIndex] = clusterId;
-
-        const seeds = neighbors.slice();
-        while (seeds.length > 0) {
-            const currentPoint = seeds.shift();
-
-            if (!visited.has(currentPoint)) {
-                visited.add(currentPoint);
-                const resultNeighbors = getNeighborsFromMatrix(currentPoint);
+// epsilon 为相似度阈值；邻域分块计算，不再构造完整的相似度矩阵
+// onProgress(current, total) 报告邻域计算的分块进度
+// weights 为每个点的权重（如合并后的出现次数），邻域按权重之和与 minPts 比较；缺省时每个点计 1
+// 返回 { clusters, noise, roles }：roles 为每个点的角色，core 为核心点（邻域内至少 minPts 个点，包含自身），
+// border 为落在核心点邻域内的非核心点，noise 为噪声点；边界点归入最先到达它的簇
+export async function dbscan(points, epsilon, minPts, useGPU = false, onProgress = null, weights = null) {
+    const neighborLists = await computeNeighbors(points, epsilon, { useGPU, onProgress });
+    return expandClusters(neighborLists, minPts, weights);
+}
 
-                if (resultNeighbors.length >= minPts) {
-                    for (const n of resultNeighbors) {
-                        if (!visited.has(n)) {
-                            seeds.push(n);
-                        }
-                    }
+// 由已算好的 ε-邻域（每个点的邻居下标，包含自身）得到簇，参数建议中多个 epsilon 共用一次邻域计算
+export function expandClusters(neighborLists, minPts, weights = null) {
+    const isCore = neighborLists.map(neighbors => (
+        weights ? neighbors.reduce((sum, n) => sum + weights[n], 0) : neighbors.length
+    ) >= minPts);
+    const n = neighborLists.length;
+    const assignments = new Int32Array(n).fill(-1);
+
+    // 从每个尚未归簇的核心点出发，沿核心点扩展；边界点加入簇但不继续扩展
+    // 先被当作噪声的点之后仍可作为边界点归入簇
+    let clusterCount = 0;
+    for (let i = 0; i < n; i++) {
+        if (assignments[i] !== -1 || !isCore[i]) continue;
+
+        assignments[i] = clusterCount;
+        // 用读指针代替 shift()，避免大簇时的 O(n²) 出队开销
+        const seeds = [i];
+        for (let head = 0; head < seeds.length; head++) {
+            if (!isCore[seeds[head]]) continue;
+            for (const n of neighborLists[seeds[head]]) {
+                if (assignments[n] === -1) {
+                    assignments[n] = clusterCount;
+                    seeds.push(n);
                 }
             }
-
-            if (assignments[currentPoint] === null) {
-                assignments[currentPoint] = clusterId;
-            }
         }
+        clusterCount++;
     }
 
-    let clusterId = 0;
-    for (let i = 0; i < points.length; i++) {
-        if (visited.has(i)) continue;
-
-        visited.add(i);
-        const neighbors = getNeighborsFromMatrix(i);
-
-        if (neighbors.length < minPts) {
-            noise.add(i);
-            assignments[i] = -1;
+    const clusters = Array.from({ length: clusterCount }, () => []);
+    const noise = [];
+    const roles = new Array(n);
+    for (let i = 0; i < n; i++) {
+        if (assignments[i] === -1) {
+            noise.push(i);
+            roles[i] = 'noise';
         } else {
-            expandCluster(i, neighbors, clusterId);
-            clusterId++;
-        }
-    }
-
-    for (let i = 0; i < clusterId; i++) {
-        clusters[i] = [];
-    }
-
-    for (let i = 0; i < assignments.length; i++) {
-        if (assignments[i] >= 0) {
             clusters[assignments[i]].push(i);
+            roles[i] = isCore[i] ? 'core' : 'border';
         }
     }
 
-    return {
-        clusters,
-        noise: Array.from(noise)
-    };
+    return { clusters, noise, roles };
 }
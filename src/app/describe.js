@@ -0,0 +1,74 @@
+import { labelClusters } from './labels.js';
+import { computeClusterStats, silhouetteScore } from './clusterStats.js';
+
+// 将算法结果整理为前端与导出使用的格式（worker 与 Node 共用，见 docs/worker-protocol.md 中 complete 的结果）
+// texts 为预处理后的文本，sourceIndices 为每条文本在原始输入中的位置
+
+// 生成簇标签、关键词与质量统计，并将聚类结果与原文本对应
+// clusters / noise 为 texts 中的下标；sort 为 true 时按簇大小降序排列，否则保持输入顺序（手动调整后保持簇编号稳定）
+// roles 为 DBSCAN 给出的每条文本的角色，其中的核心点以输入中的位置列在 coreIndices 中；其他算法为 null
+// weights 为每条文本的权重（出现次数），给出时各簇另有 weights 与加权大小 weightedSize，并按加权大小排序；否则 weights 为 null
+export function describeClusters(clusters, noise, texts, embeddings, sourceIndices, { sort, roles = null, weights = null }) {
+    const labels = labelClusters(clusters, texts, embeddings);
+    const stats = computeClusterStats(clusters, embeddings);
+    const silhouette = silhouetteScore(clusters, embeddings);
+
+    const weightedSizes = clusters.map(cluster => (weights ? cluster.reduce((sum, index) => sum + weights[index], 0) : cluster.length));
+
+    // 记录原编号到排序后位置的映射
+    const order = clusters.map((_, i) => i);
+    if (sort) order.sort((a, b) => weightedSizes[b] - weightedSizes[a] || clusters[b].length - clusters[a].length);
+    const sortedPosition = new Map(order.map((original, position) => [original, position]));
+
+    const results = order.map(i => {
+        const cluster = clusters[i];
+        const { scores, weakestIndex, nearestCluster, ...clusterStats } = stats[i];
+        return {
+            size: cluster.length,
+            weightedSize: weightedSizes[i],
+            texts: cluster.map(index => texts[index]),
+            indices: cluster.map(index => sourceIndices[index]),
+            weights: weights && cluster.map(index => weights[index]),
+            name: null,
+            frozenId: null,
+            ...labels[i],
+            ...clusterStats,
+            scores,
+            weakestText: texts[weakestIndex],
+            nearestCluster: nearestCluster === -1 ? -1 : sortedPosition.get(nearestCluster)
+        };
+    });
+
+    return {
+        results,
+        noise: noise.map(index => texts[index]),
+        noiseIndices: noise.map(index => sourceIndices[index]),
+        noiseWeights: weights && noise.map(index => weights[index]),
+        coreIndices: roles && roles.flatMap((role, index) => (role === 'core' ? [sourceIndices[index]] : [])),
+        quality: { silhouette }
+    };
+}
+
+// 将重复组与原文本对应：成员、代表文本与文本对都换成输入中的位置，未重复的文本单独列出
+export function describeDuplicates(groups, texts, sourceIndices) {
+    const grouped = new Set();
+    const duplicateGroups = groups.map(({ members, canonical, scores, pairs, pairCount }) => {
+        members.forEach(index => grouped.add(index));
+        return {
+            size: members.length,
+            texts: members.map(index => texts[index]),
+            indices: members.map(index => sourceIndices[index]),
+            canonical,
+            scores,
+            pairs,
+            pairCount
+        };
+    });
+    const unique = texts.map((_, i) => i).filter(i => !grouped.has(i));
+
+    return {
+        groups: duplicateGroups,
+        unique: unique.map(index => texts[index]),
+        uniqueIndices: unique.map(index => sourceIndices[index])
+    };
+}
@@ -0,0 +1,102 @@
+import { computeNeighbors } from './neighbors.js';
+import { computeCentroid } from './clusterStats.js';
+import { dot } from './vectorMath.js';
+
+// 近似重复检测：相似度不低于阈值的文本两两相连，连通分量即一组重复文本
+// 邻域计算与 DBSCAN 相同（见 neighbors.js），每组选出一条代表文本，其余文本视为它的重复
+
+// 参数表单，格式同 clustering.js 中的算法参数
+export const DUPLICATE_PARAMS = [
+    { key: 'threshold', label: '相似度阈值', type: 'number', default: 0.92, step: 0.01, min: 0 },
+    {
+        key: 'canonical', label: '保留文本', type: 'select', default: 'central',
+        options: [
+            { value: 'central', label: '最靠近组中心' },
+            { value: 'shortest', label: '最短' },
+            { value: 'first', label: '最先出现' },
+        ]
+    },
+];
+
+// 每组最多返回的文本对数量（按相似度降序），完整数量见 pairCount
+export const MAX_PAIRS_PER_GROUP = 50;
+
+export function getDefaultDuplicateParams() {
+    return Object.fromEntries(DUPLICATE_PARAMS.map(param => [param.key, param.default]));
+}
+
+// 从邻居列表中找出大小至少为 2 的连通分量，按大小降序、首个成员升序排列
+function findGroups(neighborLists) {
+    const visited = new Uint8Array(neighborLists.length);
+    const groups = [];
+
+    for (let start = 0; start < neighborLists.length; start++) {
+        if (visited[start] || neighborLists[start].length < 2) continue;
+        visited[start] = 1;
+        const members = [start];
+        for (let head = 0; head < members.length; head++) {
+            for (const neighbor of neighborLists[members[head]]) {
+                if (!visited[neighbor]) {
+                    visited[neighbor] = 1;
+                    members.push(neighbor);
+                }
+            }
+        }
+        members.sort((a, b) => a - b);
+        groups.push(members);
+    }
+    return groups.sort((a, b) => b.length - a.length || a[0] - b[0]);
+}
+
+// 代表文本在组内的位置
+function pickCanonical(members, points, texts, strategy) {
+    if (strategy === 'first') return 0;
+    if (strategy === 'shortest') {
+        let best = 0;
+        members.forEach((index, i) => {
+            if (texts[index].length < texts[members[best]].length) best = i;
+        });
+        return best;
+    }
+    const centroid = computeCentroid(members, points);
+    let best = 0;
+    let bestScore = -Infinity;
+    members.forEach((index, i) => {
+        const score = dot(points[index], centroid);
+        if (score > bestScore) {
+            bestScore = score;
+            best = i;
+        }
+    });
+    return best;
+}
+
+// 查找近似重复组
+// 返回 [{ members, canonical, scores, pairs, pairCount }]：members 为 points 中的下标，canonical 为代表文本在 members 中的位置，
+// scores 为各成员与代表文本的相似度，pairs 为超过阈值的文本对 [a, b, similarity]（members 中的下标）
+export async function findDuplicates(points, texts, params = {}, { useGPU = false, onProgress = null } = {}) {
+    const { threshold, canonical } = { ...getDefaultDuplicateParams(), ...params };
+    const neighborLists = await computeNeighbors(points, threshold, { useGPU, onProgress });
+
+    return findGroups(neighborLists).map(members => {
+        const canonicalPosition = pickCanonical(members, points, texts, canonical);
+        const canonicalPoint = points[members[canonicalPosition]];
+        const position = new Map(members.map((index, i) => [index, i]));
+
+        const pairs = [];
+        members.forEach((index, i) => {
+            for (const neighbor of neighborLists[index]) {
+                if (neighbor > index) pairs.push([i, position.get(neighbor), dot(points[index], points[neighbor])]);
+            }
+        });
+        pairs.sort((a, b) => b[2] - a[2]);
+
+        return {
+            members,
+            canonical: canonicalPosition,
+            scores: members.map(index => dot(points[index], canonicalPoint)),
+            pairs: pairs.slice(0, MAX_PAIRS_PER_GROUP),
+            pairCount: pairs.length
+        };
+    });
+}
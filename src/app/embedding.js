@@ -0,0 +1,42 @@
+// 向量计算：worker 与 Node 共用，同样的模型、文本与批大小得到同样的向量
+
+// 默认批大小与界面允许的范围
+export const DEFAULT_BATCH_SIZE = 16;
+export const MAX_BATCH_SIZE = 256;
+
+// 输入框清空或超出范围时回到默认值或边界，避免 NaN 传给推理
+export function clampBatchSize(value) {
+    return Math.min(MAX_BATCH_SIZE, Math.max(1, parseInt(value) || DEFAULT_BATCH_SIZE));
+}
+
+// 提取向量的参数，同时作为持久化缓存键的一部分
+export function getEmbeddingOptions(config) {
+    return {
+        pooling: config.pooling,
+        normalize: true,
+    };
+}
+
+// 待计算的文本去重后按长度排序，使同一批次内长度相近以减少 padding
+export function orderForBatching(texts) {
+    return [...new Set(texts)].sort((a, b) => a.length - b.length);
+}
+
+// 计算一批文本的向量（加上模型要求的指令前缀），输出形状为 [batch, dim]
+export async function embedBatch(extractor, batch, config) {
+    const output = await extractor(batch.map(text => config.passagePrefix + text), getEmbeddingOptions(config));
+    return output.tolist();
+}
+
+// 计算全部文本的向量，与 texts 一一对应；onProgress(current, total) 按去重后的文本数报告
+export async function embedTexts(extractor, texts, config, { batchSize = DEFAULT_BATCH_SIZE, onProgress = null } = {}) {
+    const pending = orderForBatching(texts);
+    const vectors = new Map();
+    for (let i = 0; i < pending.length; i += batchSize) {
+        const batch = pending.slice(i, i + batchSize);
+        const output = await embedBatch(extractor, batch, config);
+        batch.forEach((text, j) => vectors.set(text, output[j]));
+        if (onProgress) onProgress(Math.min(i + batchSize, pending.length), pending.length);
+    }
+    return texts.map(text => vectors.get(text));
+}
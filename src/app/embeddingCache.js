@@ -0,0 +1,155 @@
+// 基于 IndexedDB 的持久化向量缓存
+// 缓存键由 (模型, pooling, normalize, 文本哈希) 组成，刷新页面后仍可复用已计算的向量
+
+const DB_NAME = 'text2vector-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'embeddings';
+
+// 超过上限时按最近使用时间淘汰（LRU）
+export const MAX_CACHE_ENTRIES = 50000;
+
+let dbPromise = null;
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function promisifyTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('当前环境不支持 IndexedDB'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                store.createIndex('lastUsed', 'lastUsed');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // 打开失败时允许下次重试
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+// 计算文本的 SHA-256 哈希（十六进制）
+async function hashText(text) {
+    const buffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// 生成缓存键
+export async function getCacheKey(text, { model, pooling, normalize }) {
+    return `${model}|${pooling}|${normalize ? 1 : 0}|${await hashText(text)}`;
+}
+
+// 批量读取缓存，返回 Map<key, number[]>，并刷新命中条目的最近使用时间
+export async function getCachedVectors(keys) {
+    const found = new Map();
+    if (keys.length === 0) return found;
+
+    const db = await openDatabase();
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const now = Date.now();
+
+    await Promise.all(keys.map(async key => {
+        const entry = await promisifyRequest(store.get(key));
+        if (entry) {
+            found.set(key, Array.from(entry.vector));
+            entry.lastUsed = now;
+            store.put(entry);
+        }
+    }));
+    await promisifyTransaction(transaction);
+    return found;
+}
+
+// 批量写入缓存，entries 为 [{ key, vector }]
+export async function putCachedVectors(entries) {
+    if (entries.length === 0) return;
+
+    const db = await openDatabase();
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const now = Date.now();
+
+    entries.forEach(({ key, vector }) => {
+        store.put({ key, vector: new Float32Array(vector), lastUsed: now });
+    });
+    await promisifyTransaction(transaction);
+    await evictCache();
+}
+
+// 淘汰最久未使用的条目，使缓存不超过上限
+export async function evictCache(maxEntries = MAX_CACHE_ENTRIES) {
+    const db = await openDatabase();
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+
+    let excess = await promisifyRequest(store.count()) - maxEntries;
+    if (excess > 0) {
+        await new Promise((resolve, reject) => {
+            const request = store.index('lastUsed').openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || excess <= 0) {
+                    resolve();
+                    return;
+                }
+                cursor.delete();
+                excess--;
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+    await promisifyTransaction(transaction);
+}
+
+// 缓存统计：条目数与向量占用的字节数
+export async function getCacheStats() {
+    const db = await openDatabase();
+    const transaction = db.transaction(STORE_NAME, 'readonly');
+    const store = transaction.objectStore(STORE_NAME);
+
+    let count = 0;
+    let bytes = 0;
+    await new Promise((resolve, reject) => {
+        const request = store.openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve();
+                return;
+            }
+            count++;
+            bytes += cursor.value.vector.byteLength;
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+    return { count, bytes, maxEntries: MAX_CACHE_ENTRIES };
+}
+
+// 清空缓存
+export async function clearCache() {
+    const db = await openDatabase();
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    transaction.objectStore(STORE_NAME).clear();
+    await promisifyTransaction(transaction);
+}
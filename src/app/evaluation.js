@@ -0,0 +1,41 @@
+import { contingencyTable, adjustedRandIndex, normalizedMutualInfo, purity, homogeneityCompleteness } from './metrics.js';
+
+// 与人工标注（records[i].label）对比评估聚类结果（含手动调整）
+// 只评估有标注且参与了聚类的文本，每条文本计一次（不按权重），噪声视为一组；没有任何标注时返回 null
+// 返回 { evaluated, skipped, purity, homogeneity, completeness, vMeasure, ari, nmi, confusion }，
+// confusion 为 { labels, clusters, counts }：labels 为标注类别（按文本数降序），clusters 为簇下标（噪声 -1 在最后），
+// counts[l][c] 为标注为 labels[l] 且属于 clusters[c] 的文本数
+export function evaluateClustering(results) {
+    if (!results.records.some(record => record.label != null)) return null;
+
+    const gold = [];
+    const predicted = [];
+    const add = (index, clusterIdx) => {
+        const label = results.records[index]?.label;
+        if (label == null) return;
+        gold.push(label);
+        predicted.push(clusterIdx);
+    };
+    results.results.forEach((cluster, clusterIdx) => cluster.indices.forEach(index => add(index, clusterIdx)));
+    results.noiseIndices.forEach(index => add(index, -1));
+    if (gold.length === 0) return null;
+
+    const table = contingencyTable(gold, predicted);
+    const labelSize = table.counts.map(row => row.reduce((sum, count) => sum + count, 0));
+    const labelOrder = table.rows.map((_, r) => r).sort((a, b) => labelSize[b] - labelSize[a]);
+    const clusterOrder = table.cols.map((_, c) => c).sort((a, b) => (table.cols[a] === -1) - (table.cols[b] === -1) || table.cols[a] - table.cols[b]);
+
+    return {
+        evaluated: gold.length,
+        skipped: results.records.length - gold.length,
+        purity: purity(table),
+        ...homogeneityCompleteness(table),
+        ari: adjustedRandIndex(table),
+        nmi: normalizedMutualInfo(table),
+        confusion: {
+            labels: labelOrder.map(r => table.rows[r]),
+            clusters: clusterOrder.map(c => table.cols[c]),
+            counts: labelOrder.map(r => clusterOrder.map(c => table.counts[r][c]))
+        }
+    };
+}
@@ -0,0 +1,539 @@
+import * as XLSX from 'xlsx';
+import { DROP_REASONS } from './preprocess.js';
+import { evaluateClustering } from './evaluation.js';
+
+// 导出聚类结果：多工作表 Excel、CSV、JSON，以及原始向量（.npy / Float32 二进制 + 索引文件）
+// 导出中的 cluster_id 与界面上的“簇 #n”一致（从 1 开始），噪声为 -1；input_index 为文本在输入中的位置（从 0 开始）
+
+export const EXPORT_FORMATS = {
+    xlsx: { label: 'Excel（多工作表）', extension: 'xlsx' },
+    csv: { label: 'CSV（逐条文本）', extension: 'csv' },
+    json: { label: 'JSON（完整结果）', extension: 'json' },
+    npy: { label: '向量 .npy + 索引', extension: 'zip', embeddings: true },
+    f32: { label: '向量 Float32 二进制 + 索引', extension: 'zip', embeddings: true },
+};
+
+// 文件名中的时间戳 YYYYMMDD_HHMMSS
+export function exportTimestamp(date = new Date()) {
+    return date.toLocaleString('zh-CN', {
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hour12: false
+    }).replace(/[/:\s]/g, '').replace(',', '_');
+}
+
+// 触发浏览器下载
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// 所有记录中出现过的元数据列
+export function getMetaColumns(records) {
+    const columns = new Set();
+    records.forEach(record => Object.keys(record.meta).forEach(column => columns.add(column)));
+    return [...columns];
+}
+
+const clusterLabel = cluster => cluster.name || cluster.label;
+
+// 归类模式下额外导出冻结簇编号（新主题与未归类为空）
+const isClassified = results => results.run?.mode === 'classify';
+const frozenIdColumn = (results, cluster) => (isClassified(results) ? [cluster?.frozenId ?? ''] : []);
+
+// DBSCAN 结果额外导出每条文本的角色：core、border 或 noise（按当前归属，被过滤的文本为空）
+function createRoleColumn(results) {
+    if (!results.coreIndices) return () => [];
+    const coreTexts = new Set(results.coreIndices);
+    return (index, cluster) => {
+        if (index === null) return [''];
+        if (!cluster) return ['noise'];
+        return [coreTexts.has(index) ? 'core' : 'border'];
+    };
+}
+
+// 细分后的子簇编号，如 3.1
+const subclusterId = (clusterIdx, subIdx) => `${clusterIdx + 1}.${subIdx + 1}`;
+const hasSubclusters = results => results.results.some(cluster => cluster.subclusters);
+
+// 有簇被细分时额外导出层级编号：子簇成员为子簇编号，未细分的成员为簇编号，噪声为 -1，被过滤的文本为空
+function createHierarchyColumn(results) {
+    if (!hasSubclusters(results)) return () => [];
+    const idOf = new Map();
+    results.results.forEach((cluster, clusterIdx) => {
+        cluster.subclusters?.results.forEach((subcluster, subIdx) => {
+            subcluster.indices.forEach(index => idOf.set(index, subclusterId(clusterIdx, subIdx)));
+        });
+    });
+    return (index, clusterId) => [clusterId === '' ? '' : idOf.get(index) ?? String(clusterId)];
+}
+
+// 加权聚类时额外导出每条文本的权重与各簇的加权大小
+const isWeighted = results => Boolean(results.noiseWeights) || results.results.some(cluster => cluster.weights);
+const sumWeights = weights => weights.reduce((sum, weight) => sum + weight, 0);
+
+// 导入了标注列时额外导出每条文本的标注（无标注为空）
+const hasGoldLabels = results => results.records.some(record => record.label != null);
+
+function createGoldLabelColumn(results) {
+    if (!hasGoldLabels(results)) return () => [];
+    return index => [results.records[index]?.label ?? ''];
+}
+
+// 原文（预处理前），缺失时退回处理后的文本
+const originalText = (results, index, processed) => results.records[index]?.text ?? processed;
+
+// 逐条文本：先按簇、再是噪声；text 为原文，processed 为预处理后参与聚类的文本，weight 为权重（未加权时为 1）
+function forEachText(results, callback) {
+    results.results.forEach((cluster, clusterIdx) => {
+        cluster.texts.forEach((processed, textIdx) => {
+            const index = cluster.indices[textIdx];
+            callback({
+                index, text: originalText(results, index, processed), processed, clusterId: clusterIdx + 1, cluster,
+                score: cluster.scores[textIdx], weight: cluster.weights?.[textIdx] ?? 1
+            });
+        });
+    });
+    results.noise.forEach((processed, textIdx) => {
+        const index = results.noiseIndices[textIdx];
+        callback({
+            index, text: originalText(results, index, processed), processed, clusterId: -1, cluster: null,
+            score: null, weight: results.noiseWeights?.[textIdx] ?? 1
+        });
+    });
+}
+
+// 逐条文本表：原文、处理后的文本、所属簇、与质心的相似度与元数据
+// 预处理时被过滤的文本排在最后，cluster_id 为空并给出 filter_reason
+export function buildTextRows(results) {
+    const metaColumns = getMetaColumns(results.records);
+    const metaCells = index => metaColumns.map(column => results.records[index]?.meta[column] ?? '');
+    const roleColumn = createRoleColumn(results);
+    const hierarchyColumn = createHierarchyColumn(results);
+    const weighted = isWeighted(results);
+    const goldLabelColumn = createGoldLabelColumn(results);
+    const rows = [[
+        'input_index', 'query', 'processed_text', ...(weighted ? ['weight'] : []), ...(hasGoldLabels(results) ? ['gold_label'] : []), 'cluster_id', ...(hasSubclusters(results) ? ['hierarchical_id'] : []),
+        ...(isClassified(results) ? ['frozen_cluster_id'] : []), ...(results.coreIndices ? ['dbscan_role'] : []),
+        'label', 'keywords', 'centroid_similarity', 'filter_reason', ...metaColumns
+    ]];
+    forEachText(results, ({ index, text, processed, clusterId, cluster, score, weight }) => {
+        rows.push([
+            index,
+            text,
+            processed,
+            ...(weighted ? [weight] : []),
+            ...goldLabelColumn(index),
+            clusterId,
+            ...hierarchyColumn(index, clusterId),
+            ...frozenIdColumn(results, cluster),
+            ...roleColumn(index, cluster),
+            cluster ? clusterLabel(cluster) : '',
+            cluster ? cluster.keywords.join(', ') : '',
+            score ?? '',
+            '',
+            ...metaCells(index)
+        ]);
+    });
+    (results.dropped ?? []).forEach(({ index, reason }) => {
+        rows.push([
+            index, results.records[index]?.text ?? '', '', ...(weighted ? [''] : []), ...goldLabelColumn(index), '', ...hierarchyColumn(index, ''), ...frozenIdColumn(results, null), ...roleColumn(null, null),
+            '', '', '', DROP_REASONS[reason] ?? reason, ...metaCells(index)
+        ]);
+    });
+    return rows;
+}
+
+// 簇概览，细分的簇之后紧跟各子簇（cluster_id 为 3.1 等）
+export function buildSummaryRows(results) {
+    const weighted = isWeighted(results);
+    const weightedSizeColumn = (weightedSize, size) => (weighted ? [weightedSize ?? size] : []);
+    return [
+        ['cluster_id', ...(isClassified(results) ? ['frozen_cluster_id'] : []), 'size', ...(weighted ? ['weighted_size'] : []), 'label', 'representative', 'keywords'],
+        ...results.results.flatMap((cluster, clusterIdx) => [
+            [
+                clusterIdx + 1,
+                ...frozenIdColumn(results, cluster),
+                cluster.size,
+                ...weightedSizeColumn(cluster.weightedSize, cluster.size),
+                clusterLabel(cluster),
+                cluster.centralText,
+                cluster.keywords.join(', ')
+            ],
+            ...(cluster.subclusters?.results ?? []).map((subcluster, subIdx) => [
+                subclusterId(clusterIdx, subIdx),
+                ...frozenIdColumn(results, null),
+                subcluster.size,
+                ...weightedSizeColumn(subcluster.weightedSize, subcluster.size),
+                subcluster.label,
+                subcluster.centralText,
+                subcluster.keywords.join(', ')
+            ])
+        ]),
+        ...(results.noise.length > 0 ? [[
+            -1, ...frozenIdColumn(results, null), results.noise.length,
+            ...weightedSizeColumn(results.noiseWeights && sumWeights(results.noiseWeights), results.noise.length),
+            isClassified(results) ? '未归类' : '噪声', '', ''
+        ]] : [])
+    ];
+}
+
+// 簇质量统计
+export function buildStatsRows(results) {
+    return [
+        ['cluster_id', 'size', 'label', 'auto_label', 'representative', 'cohesion', 'min_similarity', 'weakest_text', 'nearest_cluster', 'nearest_similarity'],
+        ...results.results.map((cluster, clusterIdx) => [
+            clusterIdx + 1,
+            cluster.size,
+            clusterLabel(cluster),
+            cluster.label,
+            cluster.centralText,
+            cluster.cohesion,
+            cluster.minSimilarity,
+            cluster.weakestText,
+            cluster.nearestCluster >= 0 ? cluster.nearestCluster + 1 : '',
+            cluster.nearestSimilarity ?? ''
+        ]),
+        [],
+        ['silhouette', results.quality.silhouette ?? '']
+    ];
+}
+
+// 与标注对比的评估：各项指标，空一行后为混淆表（行为标注类别，列为 cluster_id）；没有标注时为 null
+export function buildEvaluationRows(results) {
+    const evaluation = evaluateClustering(results);
+    if (!evaluation) return null;
+    const { confusion } = evaluation;
+    return [
+        ['metric', 'value'],
+        ...['evaluated', 'skipped', 'purity', 'homogeneity', 'completeness', 'vMeasure', 'ari', 'nmi'].map(key => [key, evaluation[key]]),
+        [],
+        ['gold_label', ...confusion.clusters.map(cluster => (cluster === -1 ? -1 : cluster + 1))],
+        ...confusion.labels.map((label, l) => [label, ...confusion.counts[l]])
+    ];
+}
+
+// 参数、模型与耗时，聚类与重复检测共用
+function runFields(results) {
+    const run = results.run ?? {};
+    return {
+        ...Object.fromEntries(Object.entries(run.params ?? {}).map(([key, value]) => [`param.${key}`, value])),
+        model: run.model ?? '',
+        dtype: run.dtype ?? '',
+        model_source: run.source ?? '',
+        device: run.device ?? '',
+        batch_size: run.batchSize ?? '',
+        ...Object.fromEntries(Object.entries(run.preprocess ?? {}).map(([key, value]) => [`preprocess.${key}`, value])),
+        vectorization_seconds: results.performance?.vectorizationTime ?? '',
+        clustering_seconds: results.performance?.clusteringTime ?? ''
+    };
+}
+
+// 运行参数与模型信息（键值对）
+export function buildRunInfo(results, extra = {}) {
+    return {
+        exported_at: new Date().toISOString(),
+        text_count: results.records.length,
+        cluster_count: results.results.length,
+        noise_count: results.noise.length,
+        filtered_count: results.dropped?.length ?? 0,
+        mode: results.run?.mode ?? 'cluster',
+        algorithm: results.run?.algorithm ?? '',
+        weighted: isWeighted(results),
+        ...(isClassified(results) ? { classifier: results.run.classifier } : {}),
+        silhouette: results.quality.silhouette ?? '',
+        ...runFields(results),
+        ...extra
+    };
+}
+
+// 多工作表 Excel，Node 中可用 XLSX.write 写出
+export function buildWorkbook(results, runInfo) {
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(buildSummaryRows(results)), 'Summary');
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(buildTextRows(results)), 'Texts');
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(buildStatsRows(results)), 'Cluster Stats');
+    const evaluationRows = buildEvaluationRows(results);
+    if (evaluationRows) {
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(evaluationRows), 'Evaluation');
+    }
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([['key', 'value'], ...Object.entries(runInfo)]), 'Run Info');
+    return wb;
+}
+
+export function exportXlsx(results, runInfo, fileName) {
+    XLSX.writeFile(buildWorkbook(results, runInfo), fileName);
+}
+
+// 表格转 CSV，带 BOM 以便 Excel 正确识别中文
+export function toCsv(rows) {
+    return '\ufeff' + XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet(rows));
+}
+
+export function exportCsv(results, fileName) {
+    downloadBlob(new Blob([toCsv(buildTextRows(results))], { type: 'text/csv;charset=utf-8' }), fileName);
+}
+
+// 完整结果：运行信息、质量、各簇成员、噪声与被过滤的文本
+// 加权时簇带 weighted_size、成员带 weight；合并的重复文本在 filtered 中给出 duplicate_of
+// 有标注时成员带 gold_label，另有 evaluation（混淆表的列为 cluster_id）
+export function buildJsonResult(results, runInfo) {
+    const weighted = isWeighted(results);
+    const labeled = hasGoldLabels(results);
+    const evaluation = evaluateClustering(results);
+    const memberOf = (index, processed, score, weight) => ({
+        input_index: index,
+        text: originalText(results, index, processed),
+        processed_text: processed,
+        ...(weighted ? { weight: weight ?? 1 } : {}),
+        ...(labeled ? { gold_label: results.records[index]?.label ?? null } : {}),
+        ...(score === undefined ? {} : { centroid_similarity: score }),
+        meta: results.records[index]?.meta ?? {}
+    });
+    return {
+        run: runInfo,
+        quality: results.quality,
+        ...(evaluation ? {
+            evaluation: {
+                ...evaluation,
+                confusion: {
+                    labels: evaluation.confusion.labels,
+                    cluster_ids: evaluation.confusion.clusters.map(cluster => (cluster === -1 ? -1 : cluster + 1)),
+                    counts: evaluation.confusion.counts
+                }
+            }
+        } : {}),
+        clusters: results.results.map((cluster, clusterIdx) => ({
+            cluster_id: clusterIdx + 1,
+            ...(isClassified(results) ? { frozen_cluster_id: cluster.frozenId } : {}),
+            size: cluster.size,
+            ...(weighted ? { weighted_size: cluster.weightedSize ?? cluster.size } : {}),
+            label: clusterLabel(cluster),
+            auto_label: cluster.label,
+            keywords: cluster.keywords,
+            representative: cluster.centralText,
+            cohesion: cluster.cohesion,
+            min_similarity: cluster.minSimilarity,
+            nearest_cluster: cluster.nearestCluster >= 0 ? cluster.nearestCluster + 1 : null,
+            nearest_similarity: cluster.nearestSimilarity ?? null,
+            members: cluster.texts.map((text, textIdx) => memberOf(cluster.indices[textIdx], text, cluster.scores[textIdx], cluster.weights?.[textIdx])),
+            ...(cluster.subclusters ? {
+                subclusters: cluster.subclusters.results.map((subcluster, subIdx) => ({
+                    cluster_id: subclusterId(clusterIdx, subIdx),
+                    size: subcluster.size,
+                    ...(weighted ? { weighted_size: subcluster.weightedSize ?? subcluster.size } : {}),
+                    label: subcluster.label,
+                    keywords: subcluster.keywords,
+                    representative: subcluster.centralText,
+                    cohesion: subcluster.cohesion,
+                    input_indices: subcluster.indices
+                })),
+                unsubdivided_indices: cluster.subclusters.noiseIndices
+            } : {})
+        })),
+        noise: results.noise.map((text, textIdx) => memberOf(results.noiseIndices[textIdx], text, undefined, results.noiseWeights?.[textIdx])),
+        filtered: (results.dropped ?? []).map(({ index, reason, duplicateOf }) => ({
+            input_index: index,
+            text: results.records[index]?.text ?? '',
+            reason: DROP_REASONS[reason] ?? reason,
+            ...(duplicateOf === undefined ? {} : { duplicate_of: duplicateOf })
+        }))
+    };
+}
+
+export function exportJson(results, runInfo, fileName) {
+    const data = buildJsonResult(results, runInfo);
+    downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), fileName);
+}
+
+// NumPy .npy（格式 1.0）：魔数、版本、头部长度与描述字典，头部补齐到 64 字节对齐
+export function encodeNpy(data, shape) {
+    const dict = `{'descr': '<f4', 'fortran_order': False, 'shape': (${shape.join(', ')}${shape.length === 1 ? ',' : ''}), }`;
+    const unpadded = 10 + dict.length + 1;
+    const header = dict + ' '.repeat((64 - (unpadded % 64)) % 64) + '\n';
+
+    const bytes = new Uint8Array(10 + header.length + data.byteLength);
+    bytes.set([0x93, ...'NUMPY'.split('').map(char => char.charCodeAt(0)), 1, 0]);
+    new DataView(bytes.buffer).setUint16(8, header.length, true);
+    for (let i = 0; i < header.length; i++) bytes[10 + i] = header.charCodeAt(i);
+    bytes.set(new Uint8Array(data.buffer, data.byteOffset, data.byteLength), 10 + header.length);
+    return bytes;
+}
+
+// 原始向量与索引文件打包为 zip
+// embeddings: { data: Float32Array, dim, indices }，第 i 行向量对应输入位置 indices[i]
+export function exportEmbeddings(results, embeddings, runInfo, format, fileName) {
+    const { data, dim, indices } = embeddings;
+    const count = indices.length;
+
+    // 输入位置 → [processed_text, cluster_id, label]
+    const assignment = new Map();
+    forEachText(results, ({ index, processed, clusterId, cluster }) => {
+        assignment.set(index, [processed, clusterId, cluster ? clusterLabel(cluster) : '']);
+    });
+    const indexRows = [
+        ['row', 'input_index', 'query', 'processed_text', 'cluster_id', 'label'],
+        ...indices.map((index, row) => [row, index, results.records[index]?.text ?? '', ...(assignment.get(index) ?? ['', -1, ''])])
+    ];
+
+    const encoder = new TextEncoder();
+    const vectorFile = format === 'npy' ? 'embeddings.npy' : 'embeddings.f32';
+    const cfb = XLSX.CFB.utils.cfb_new();
+    XLSX.CFB.utils.cfb_add(cfb, vectorFile, format === 'npy'
+        ? encodeNpy(data, [count, dim])
+        : new Uint8Array(data.buffer, data.byteOffset, data.byteLength));
+    XLSX.CFB.utils.cfb_add(cfb, 'index.csv', encoder.encode(toCsv(indexRows)));
+    XLSX.CFB.utils.cfb_add(cfb, 'meta.json', encoder.encode(JSON.stringify({
+        file: vectorFile,
+        dtype: 'float32',
+        byte_order: 'little',
+        shape: [count, dim],
+        normalized: true,
+        run: runInfo
+    }, null, 2)));
+
+    const zip = XLSX.CFB.write(cfb, { type: 'array', fileType: 'zip' });
+    downloadBlob(new Blob([zip], { type: 'application/zip' }), fileName);
+}
+
+// 近似重复检测的导出：去重后的文本、逐条映射表与重复文本对
+// duplicates 为 worker 的重复检测结果加上 records；group_id 从 1 开始，未重复的文本为空
+
+// 每条保留的文本：未重复的文本与各组的代表文本
+function keptTexts(duplicates) {
+    const kept = duplicates.unique.map((processed, i) => ({ index: duplicates.uniqueIndices[i], processed, count: 1 }));
+    duplicates.groups.forEach(group => {
+        kept.push({ index: group.indices[group.canonical], processed: group.texts[group.canonical], count: group.size });
+    });
+    return kept.sort((a, b) => a.index - b.index);
+}
+
+// 去重后的文本列表，按输入顺序
+export function buildDedupedRows(duplicates) {
+    const metaColumns = getMetaColumns(duplicates.records);
+    return [
+        ['input_index', 'query', 'processed_text', 'duplicate_count', ...metaColumns],
+        ...keptTexts(duplicates).map(({ index, processed, count }) => [
+            index,
+            originalText(duplicates, index, processed),
+            processed,
+            count,
+            ...metaColumns.map(column => duplicates.records[index]?.meta[column] ?? '')
+        ])
+    ];
+}
+
+// 映射表：每条输入文本保留与否，以及对应的代表文本和相似度，按输入顺序
+export function buildDuplicateMappingRows(duplicates) {
+    const metaColumns = getMetaColumns(duplicates.records);
+    const rows = new Map();
+    const addRow = (index, cells) => {
+        rows.set(index, [index, duplicates.records[index]?.text ?? '', ...cells, ...metaColumns.map(column => duplicates.records[index]?.meta[column] ?? '')]);
+    };
+
+    duplicates.unique.forEach((processed, i) => {
+        const index = duplicates.uniqueIndices[i];
+        addRow(index, [processed, '', true, index, duplicates.records[index]?.text ?? processed, '', '']);
+    });
+    duplicates.groups.forEach((group, groupIdx) => {
+        const canonicalIndex = group.indices[group.canonical];
+        const canonicalText = originalText(duplicates, canonicalIndex, group.texts[group.canonical]);
+        group.indices.forEach((index, i) => {
+            addRow(index, [group.texts[i], groupIdx + 1, i === group.canonical, canonicalIndex, canonicalText, group.scores[i], '']);
+        });
+    });
+    (duplicates.dropped ?? []).forEach(({ index, reason }) => {
+        addRow(index, ['', '', false, '', '', '', DROP_REASONS[reason] ?? reason]);
+    });
+
+    return [
+        ['input_index', 'query', 'processed_text', 'group_id', 'keep', 'canonical_index', 'canonical_text', 'similarity', 'filter_reason', ...metaColumns],
+        ...[...rows.keys()].sort((a, b) => a - b).map(index => rows.get(index))
+    ];
+}
+
+// 组内相似度超过阈值的文本对（每组最多 MAX_PAIRS_PER_GROUP 对）
+export function buildDuplicatePairRows(duplicates) {
+    const rows = [['group_id', 'input_index_a', 'text_a', 'input_index_b', 'text_b', 'similarity']];
+    duplicates.groups.forEach((group, groupIdx) => {
+        group.pairs.forEach(([a, b, similarity]) => {
+            rows.push([
+                groupIdx + 1,
+                group.indices[a],
+                originalText(duplicates, group.indices[a], group.texts[a]),
+                group.indices[b],
+                originalText(duplicates, group.indices[b], group.texts[b]),
+                similarity
+            ]);
+        });
+    });
+    return rows;
+}
+
+export function buildDuplicateRunInfo(duplicates) {
+    const duplicateCount = duplicates.groups.reduce((sum, group) => sum + group.size - 1, 0);
+    return {
+        exported_at: new Date().toISOString(),
+        mode: 'duplicates',
+        text_count: duplicates.records.length,
+        group_count: duplicates.groups.length,
+        duplicate_count: duplicateCount,
+        kept_count: duplicates.unique.length + duplicates.groups.length,
+        filtered_count: duplicates.dropped?.length ?? 0,
+        ...runFields(duplicates)
+    };
+}
+
+export function exportDuplicatesXlsx(duplicates, runInfo, fileName) {
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(buildDedupedRows(duplicates)), 'Deduplicated');
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(buildDuplicateMappingRows(duplicates)), 'Mapping');
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(buildDuplicatePairRows(duplicates)), 'Pairs');
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([['key', 'value'], ...Object.entries(runInfo)]), 'Run Info');
+    XLSX.writeFile(wb, fileName);
+}
+
+// CSV 导出映射表，keep 为 true 的行即去重后的文本
+export function exportDuplicatesCsv(duplicates, fileName) {
+    downloadBlob(new Blob([toCsv(buildDuplicateMappingRows(duplicates))], { type: 'text/csv;charset=utf-8' }), fileName);
+}
+
+export function exportDuplicatesJson(duplicates, runInfo, fileName) {
+    const memberOf = (group, i) => ({
+        input_index: group.indices[i],
+        text: originalText(duplicates, group.indices[i], group.texts[i]),
+        processed_text: group.texts[i],
+        similarity: group.scores[i]
+    });
+    const data = {
+        run: runInfo,
+        groups: duplicates.groups.map((group, groupIdx) => ({
+            group_id: groupIdx + 1,
+            size: group.size,
+            canonical: memberOf(group, group.canonical),
+            duplicates: group.indices.map((_, i) => i).filter(i => i !== group.canonical).map(i => memberOf(group, i)),
+            pair_count: group.pairCount,
+            pairs: group.pairs.map(([a, b, similarity]) => ({
+                input_index_a: group.indices[a],
+                input_index_b: group.indices[b],
+                similarity
+            }))
+        })),
+        deduplicated: keptTexts(duplicates).map(({ index, processed, count }) => ({
+            input_index: index,
+            text: originalText(duplicates, index, processed),
+            processed_text: processed,
+            duplicate_count: count,
+            meta: duplicates.records[index]?.meta ?? {}
+        }))
+    };
+    downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), fileName);
+}
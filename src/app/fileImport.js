@@ -0,0 +1,132 @@
+import * as XLSX from 'xlsx';
+
+// 支持导入的文件类型
+export const SUPPORTED_EXTENSIONS = ['.txt', '.csv', '.tsv', '.xlsx', '.xls'];
+
+function getExtension(fileName) {
+    const dotIndex = fileName.lastIndexOf('.');
+    return dotIndex === -1 ? '' : fileName.slice(dotIndex).toLowerCase();
+}
+
+// 将单元格值统一转换为字符串
+function cellToString(value) {
+    if (value === null || value === undefined) return '';
+    return String(value);
+}
+
+// 纯文本文件：每行一条，只有一列
+function parseTextFile(content) {
+    const rows = content
+        .split(/\r?\n/)
+        .filter(line => line.trim() !== '')
+        .map(line => [line]);
+    return { headers: ['text'], rows };
+}
+
+// 表格文件：使用 xlsx 解析，第一行作为表头
+function parseSheet(workbook) {
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const data = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' });
+    if (data.length === 0) {
+        return { headers: [], rows: [] };
+    }
+
+    const width = data.reduce((max, row) => Math.max(max, row.length), 0);
+    const headers = Array.from({ length: width }, (_, i) => {
+        const name = cellToString(data[0][i]).trim();
+        return name || `列${i + 1}`;
+    });
+
+    // 跳过完全为空的行
+    const rows = data.slice(1)
+        .map(row => Array.from({ length: width }, (_, i) => cellToString(row[i])))
+        .filter(row => row.some(cell => cell.trim() !== ''));
+
+    return { headers, rows };
+}
+
+// 解析导入的文件，返回 { headers, rows }
+export async function parseFile(file) {
+    const extension = getExtension(file.name);
+
+    if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+        throw new Error(`不支持的文件类型: ${extension || file.name}`);
+    }
+
+    if (extension === '.txt') {
+        return parseTextFile(await file.text());
+    }
+
+    if (extension === '.csv' || extension === '.tsv') {
+        // 以字符串方式读取，避免中文编码被误判；xlsx 会正确处理引号内的换行
+        const content = await file.text();
+        const workbook = XLSX.read(content, {
+            type: 'string',
+            FS: extension === '.tsv' ? '\t' : ',',
+            raw: true
+        });
+        return parseSheet(workbook);
+    }
+
+    const buffer = await file.arrayBuffer();
+    return parseSheet(XLSX.read(buffer, { type: 'array' }));
+}
+
+// 猜测文本列：取平均长度最长的列
+export function guessTextColumn(headers, rows) {
+    let bestColumn = 0;
+    let bestLength = -1;
+    const sample = rows.slice(0, 200);
+    headers.forEach((_, col) => {
+        const totalLength = sample.reduce((sum, row) => sum + row[col].length, 0);
+        if (totalLength > bestLength) {
+            bestLength = totalLength;
+            bestColumn = col;
+        }
+    });
+    return bestColumn;
+}
+
+// 常见的次数 / 权重列名
+const WEIGHT_COLUMN_PATTERN = /^(count|cnt|freq|frequency|weight|pv|qv|次数|频次|频率|数量|权重|搜索量|查询量)$/i;
+
+// 解析权重单元格：允许千分位逗号，非正数或无法解析时为 1
+export function parseWeight(value) {
+    const weight = Number(String(value).replace(/,/g, '').trim());
+    return Number.isFinite(weight) && weight > 0 ? weight : 1;
+}
+
+// 猜测权重列：列名为常见的次数列名且内容均为数值，没有时返回 -1
+export function guessWeightColumn(headers, rows) {
+    const sample = rows.slice(0, 200);
+    return headers.findIndex((header, col) =>
+        WEIGHT_COLUMN_PATTERN.test(header.trim()) &&
+        sample.every(row => row[col].trim() === '' || Number.isFinite(Number(row[col].replace(/,/g, ''))))
+    );
+}
+
+// 常见的人工标注列名
+const LABEL_COLUMN_PATTERN = /^(label|gold|gold_label|intent|category|class|标签|标注|意图|类别|分类)$/i;
+
+// 猜测标注列：列名为常见的标注列名，没有时返回 -1
+export function guessLabelColumn(headers) {
+    return headers.findIndex(header => LABEL_COLUMN_PATTERN.test(header.trim()));
+}
+
+// 根据选定的文本列生成待聚类记录，其余列作为元数据保留
+// 指定权重列（weightColumn >= 0）时记录另有 weight，指定标注列（labelColumn >= 0）时另有 label（空单元格为 null），
+// 这两列不再作为元数据
+export function buildRecords(headers, rows, textColumn, { weightColumn = -1, labelColumn = -1 } = {}) {
+    return rows
+        .map(row => {
+            const meta = {};
+            headers.forEach((header, col) => {
+                if (col !== textColumn && col !== weightColumn && col !== labelColumn) meta[header] = row[col];
+            });
+            const record = { text: row[textColumn], meta };
+            if (weightColumn >= 0) record.weight = parseWeight(row[weightColumn]);
+            if (labelColumn >= 0) record.label = row[labelColumn].trim() || null;
+            return record;
+        })
+        .filter(record => record.text.trim() !== '');
+}
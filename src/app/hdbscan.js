@@ -0,0 +1,208 @@
+import { computeDistanceMatrix } from './dbscan.js';
+
+// 余弦距离（向量已归一化，距离 = 1 - 相似度）
+function cosineDistance(similarity) {
+    return Math.max(0, 1 - similarity);
+}
+
+// 核心距离：到第 minSamples 个最近邻的距离（包含自身）
+function computeCoreDistances(distanceMatrix, minSamples) {
+    const n = distanceMatrix.length;
+    const k = Math.min(minSamples, n) - 1;
+    return distanceMatrix.map(row => Float64Array.from(row).sort()[k]);
+}
+
+// 在互达距离图上用 Prim 算法求最小生成树，返回按权重升序的边
+function buildMinimumSpanningTree(distanceMatrix, coreDistances) {
+    const n = distanceMatrix.length;
+    const inTree = new Uint8Array(n);
+    const bestDistance = new Float64Array(n).fill(Infinity);
+    const bestFrom = new Int32Array(n).fill(-1);
+    const edges = [];
+
+    let current = 0;
+    inTree[current] = 1;
+    for (let step = 1; step < n; step++) {
+        for (let j = 0; j < n; j++) {
+            if (inTree[j]) continue;
+            const reachability = Math.max(distanceMatrix[current][j], coreDistances[current], coreDistances[j]);
+            if (reachability < bestDistance[j]) {
+                bestDistance[j] = reachability;
+                bestFrom[j] = current;
+            }
+        }
+
+        let next = -1;
+        for (let j = 0; j < n; j++) {
+            if (!inTree[j] && (next === -1 || bestDistance[j] < bestDistance[next])) {
+                next = j;
+            }
+        }
+        edges.push({ a: bestFrom[next], b: next, distance: bestDistance[next] });
+        inTree[next] = 1;
+        current = next;
+    }
+
+    return edges.sort((x, y) => x.distance - y.distance);
+}
+
+// 由最小生成树构建单链接层次树：叶子为 0..n-1，内部节点为 n..2n-2
+function buildSingleLinkageTree(edges, n) {
+    const parent = new Int32Array(2 * n - 1).fill(-1);
+    const nodes = [];
+
+    function find(x) {
+        while (parent[x] !== -1) x = parent[x];
+        return x;
+    }
+
+    edges.forEach(({ a, b, distance }, i) => {
+        const left = find(a);
+        const right = find(b);
+        const id = n + i;
+        const size = (left < n ? 1 : nodes[left - n].size) + (right < n ? 1 : nodes[right - n].size);
+        parent[left] = id;
+        parent[right] = id;
+        nodes.push({ left, right, distance, size });
+    });
+
+    return nodes;
+}
+
+// 压缩层次树：小于 minClusterSize 的分支视为点的脱落
+function condenseTree(nodes, n, minClusterSize) {
+    const condensed = []; // { parent, child, lambda, size, isCluster }
+    const sizeOf = node => (node < n ? 1 : nodes[node - n].size);
+
+    function collectLeaves(node, leaves) {
+        const stack = [node];
+        while (stack.length > 0) {
+            const current = stack.pop();
+            if (current < n) {
+                leaves.push(current);
+            } else {
+                stack.push(nodes[current - n].left, nodes[current - n].right);
+            }
+        }
+        return leaves;
+    }
+
+    const root = 2 * n - 2;
+    let nextLabel = 0;
+    const stack = [{ node: root, label: nextLabel++ }];
+
+    while (stack.length > 0) {
+        const { node, label } = stack.pop();
+        if (node < n) continue;
+
+        const { left, right, distance } = nodes[node - n];
+        const lambda = 1 / Math.max(distance, 1e-10);
+        const leftBig = sizeOf(left) >= minClusterSize;
+        const rightBig = sizeOf(right) >= minClusterSize;
+
+        if (leftBig && rightBig) {
+            // 真正的分裂：产生两个新簇
+            for (const child of [left, right]) {
+                const childLabel = nextLabel++;
+                condensed.push({ parent: label, child: childLabel, lambda, size: sizeOf(child), isCluster: true });
+                stack.push({ node: child, label: childLabel });
+            }
+        } else {
+            // 小分支的点脱落，大分支（如有）沿用当前簇标签
+            for (const child of [left, right]) {
+                if (sizeOf(child) >= minClusterSize) {
+                    stack.push({ node: child, label });
+                } else {
+                    collectLeaves(child, []).forEach(point => {
+                        condensed.push({ parent: label, child: point, lambda, size: 1, isCluster: false });
+                    });
+                }
+            }
+        }
+    }
+
+    return { condensed, clusterCount: nextLabel };
+}
+
+// 按超额质量（EOM）选出最稳定的簇，返回每个点的簇标签（-1 为噪声）
+function extractClusters(condensed, clusterCount, n) {
+    const birthLambda = new Float64Array(clusterCount);
+    const clusterParent = new Int32Array(clusterCount).fill(-1);
+    const children = Array.from({ length: clusterCount }, () => []);
+
+    condensed.forEach(({ parent, child, lambda, isCluster }) => {
+        if (isCluster) {
+            birthLambda[child] = lambda;
+            clusterParent[child] = parent;
+            children[parent].push(child);
+        }
+    });
+
+    const stability = new Float64Array(clusterCount);
+    condensed.forEach(({ parent, lambda, size }) => {
+        stability[parent] += (lambda - birthLambda[parent]) * size;
+    });
+
+    // 子簇标签总是大于父簇，倒序遍历即可自底向上
+    const selected = new Uint8Array(clusterCount);
+    for (let c = clusterCount - 1; c > 0; c--) {
+        const childStability = children[c].reduce((sum, child) => sum + stability[child], 0);
+        if (children[c].length > 0 && childStability > stability[c]) {
+            stability[c] = childStability;
+        } else {
+            selected[c] = 1;
+            const stack = [...children[c]];
+            while (stack.length > 0) {
+                const descendant = stack.pop();
+                selected[descendant] = 0;
+                stack.push(...children[descendant]);
+            }
+        }
+    }
+
+    const labels = new Int32Array(n).fill(-1);
+    condensed.forEach(({ parent, child, isCluster }) => {
+        if (isCluster) return;
+        let cluster = parent;
+        while (cluster > 0 && !selected[cluster]) {
+            cluster = clusterParent[cluster];
+        }
+        if (cluster > 0) labels[child] = cluster;
+    });
+    return labels;
+}
+
+// HDBSCAN 主算法：无需 epsilon，按簇的稳定性自动选择不同密度的簇
+export async function hdbscan(points, minClusterSize, minSamples = minClusterSize, useGPU = false) {
+    const n = points.length;
+    if (n < 2 || n < minClusterSize) {
+        return { clusters: [], noise: points.map((_, i) => i) };
+    }
+
+    const similarityMatrix = await computeDistanceMatrix(points, useGPU);
+    const distanceMatrix = Array.from(similarityMatrix, row => Array.from(row, cosineDistance));
+
+    const coreDistances = computeCoreDistances(distanceMatrix, Math.max(1, minSamples));
+    const edges = buildMinimumSpanningTree(distanceMatrix, coreDistances);
+    const nodes = buildSingleLinkageTree(edges, n);
+    const { condensed, clusterCount } = condenseTree(nodes, n, Math.max(2, minClusterSize));
+    const labels = extractClusters(condensed, clusterCount, n);
+
+    // 将簇标签重新编号为连续的 0..k-1
+    const clusterIndex = new Map();
+    const clusters = [];
+    const noise = [];
+    labels.forEach((label, i) => {
+        if (label === -1) {
+            noise.push(i);
+            return;
+        }
+        if (!clusterIndex.has(label)) {
+            clusterIndex.set(label, clusters.length);
+            clusters.push([]);
+        }
+        clusters[clusterIndex.get(label)].push(i);
+    });
+
+    return { clusters, noise };
+}
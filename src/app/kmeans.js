@@ -0,0 +1,100 @@
+import { dot, normalize, createRandom } from './vectorMath.js';
+
+// 球面 k-means：在归一化向量上以余弦相似度为准，质心每轮重新归一化
+
+// k-means++ 初始化：按到已选质心的距离平方加权抽样
+function initCentroids(points, k, random) {
+    const centroids = [points[Math.floor(random() * points.length)]];
+    const minDistances = points.map(point => 1 - dot(point, centroids[0]));
+
+    while (centroids.length < k) {
+        const weights = minDistances.map(d => Math.max(0, d) ** 2);
+        const total = weights.reduce((sum, w) => sum + w, 0);
+        let next = points.length - 1;
+        if (total > 0) {
+            let target = random() * total;
+            for (let i = 0; i < weights.length; i++) {
+                target -= weights[i];
+                if (target <= 0) {
+                    next = i;
+                    break;
+                }
+            }
+        } else {
+            next = Math.floor(random() * points.length);
+        }
+
+        centroids.push(points[next]);
+        points.forEach((point, i) => {
+            minDistances[i] = Math.min(minDistances[i], 1 - dot(point, points[next]));
+        });
+    }
+    return centroids;
+}
+
+// k-means 主算法
+export function kmeans(points, k, maxIterations = 100, seed = 42) {
+    const n = points.length;
+    if (n === 0) return { clusters: [], noise: [] };
+    k = Math.max(1, Math.min(k, n));
+
+    const random = createRandom(seed);
+    let centroids = initCentroids(points, k, random);
+    const assignments = new Int32Array(n).fill(-1);
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        // 分配到最相似的质心
+        let changed = false;
+        for (let i = 0; i < n; i++) {
+            let best = 0;
+            let bestSimilarity = -Infinity;
+            for (let c = 0; c < k; c++) {
+                const similarity = dot(points[i], centroids[c]);
+                if (similarity > bestSimilarity) {
+                    bestSimilarity = similarity;
+                    best = c;
+                }
+            }
+            if (assignments[i] !== best) {
+                assignments[i] = best;
+                changed = true;
+            }
+        }
+        if (!changed) break;
+
+        // 重新计算质心
+        const dim = points[0].length;
+        const sums = Array.from({ length: k }, () => new Array(dim).fill(0));
+        const counts = new Array(k).fill(0);
+        for (let i = 0; i < n; i++) {
+            const c = assignments[i];
+            counts[c]++;
+            for (let d = 0; d < dim; d++) {
+                sums[c][d] += points[i][d];
+            }
+        }
+
+        centroids = sums.map((sum, c) => {
+            if (counts[c] > 0) return normalize(sum);
+            // 空簇：用离当前质心最远的点重新初始化
+            let farthest = 0;
+            let lowestSimilarity = Infinity;
+            for (let i = 0; i < n; i++) {
+                const similarity = dot(points[i], centroids[assignments[i]]);
+                if (similarity < lowestSimilarity) {
+                    lowestSimilarity = similarity;
+                    farthest = i;
+                }
+            }
+            return points[farthest];
+        });
+    }
+
+    const clusters = Array.from({ length: k }, () => []);
+    assignments.forEach((c, i) => clusters[c].push(i));
+
+    return {
+        clusters: clusters.filter(cluster => cluster.length > 0),
+        noise: []
+    };
+}
@@ -0,0 +1,127 @@
+import { dot } from './vectorMath.js';
+import { computeCentroid } from './clusterStats.js';
+
+// 自动生成簇标签：基于 c-TF-IDF 的关键词 + 最靠近质心的句子
+
+const KEYWORD_COUNT = 5;
+const LABEL_KEYWORD_COUNT = 3;
+
+// 常见的无信息词
+const STOPWORDS = new Set([
+    '怎么', '如何', '什么', '为什么', '怎样', '怎么办', '哪里', '哪些', '多少', '多久',
+    '可以', '能否', '是否', '能不能', '可不可以', '需要', '请问', '一下', '一个', '这个',
+    '那个', '我们', '你们', '他们', '自己', '还是', '就是', '没有', '已经', '现在',
+    'the', 'and', 'for', 'how', 'what', 'can', 'you', 'are', 'with', 'this',
+]);
+
+const CJK_PATTERN = /[一-鿿]/;
+
+let segmenter;
+function getSegmenter() {
+    if (segmenter === undefined) {
+        segmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+            ? new Intl.Segmenter('zh', { granularity: 'word' })
+            : null;
+    }
+    return segmenter;
+}
+
+function isKeyword(token) {
+    return token.length >= 2 && !STOPWORDS.has(token) && !/^\d+$/.test(token);
+}
+
+// 分词：优先使用浏览器内置的中文分词，不支持时退回中文字符二元组
+export function tokenize(text) {
+    const lower = text.toLowerCase();
+    const wordSegmenter = getSegmenter();
+
+    if (wordSegmenter) {
+        const tokens = [];
+        for (const { segment, isWordLike } of wordSegmenter.segment(lower)) {
+            if (isWordLike && isKeyword(segment)) tokens.push(segment);
+        }
+        return tokens;
+    }
+
+    const tokens = [];
+    for (const run of lower.match(/[一-鿿]+|[a-z0-9]+/g) || []) {
+        if (CJK_PATTERN.test(run)) {
+            for (let i = 0; i < run.length - 1; i++) {
+                const bigram = run.slice(i, i + 2);
+                if (isKeyword(bigram)) tokens.push(bigram);
+            }
+        } else if (isKeyword(run)) {
+            tokens.push(run);
+        }
+    }
+    return tokens;
+}
+
+// c-TF-IDF：把每个簇的文本拼成一个文档，词频按簇归一化，逆频率按所有簇计算
+// 返回每个簇按得分降序的关键词
+export function extractKeywords(clusterTexts, topN = KEYWORD_COUNT) {
+    const counts = clusterTexts.map(texts => {
+        const count = new Map();
+        texts.forEach(text => {
+            // 同一句内重复出现的词只计一次，避免个别长句主导
+            new Set(tokenize(text)).forEach(token => count.set(token, (count.get(token) || 0) + 1));
+        });
+        return count;
+    });
+
+    const totalFrequency = new Map();
+    let totalTokens = 0;
+    counts.forEach(count => {
+        count.forEach((value, token) => {
+            totalFrequency.set(token, (totalFrequency.get(token) || 0) + value);
+            totalTokens += value;
+        });
+    });
+    const averageTokens = totalTokens / Math.max(1, counts.length);
+
+    return counts.map((count, c) => {
+        const minCount = clusterTexts[c].length === 1 ? 1 : 2;
+        const clusterTotal = [...count.values()].reduce((sum, value) => sum + value, 0) || 1;
+        return [...count.entries()]
+            .map(([token, value]) => ({
+                token,
+                score: (value / clusterTotal) * Math.log(1 + averageTokens / totalFrequency.get(token))
+            }))
+            // 至少出现两次的词才作为关键词（单句簇除外）
+            .filter(({ token }) => count.get(token) >= minCount)
+            .sort((a, b) => b.score - a.score || a.token.localeCompare(b.token))
+            .slice(0, topN)
+            .map(({ token }) => token);
+    });
+}
+
+// 返回簇内最靠近质心的成员下标
+export function findCentralMember(cluster, embeddings) {
+    const centroid = computeCentroid(cluster, embeddings);
+
+    let best = cluster[0];
+    let bestSimilarity = -Infinity;
+    cluster.forEach(index => {
+        const similarity = dot(embeddings[index], centroid);
+        if (similarity > bestSimilarity) {
+            bestSimilarity = similarity;
+            best = index;
+        }
+    });
+    return best;
+}
+
+// 为每个簇生成 { label, keywords, centralText }
+// clusters 为文本下标数组，texts 与 embeddings 按相同下标对应
+export function labelClusters(clusters, texts, embeddings) {
+    const keywords = extractKeywords(clusters.map(cluster => cluster.map(index => texts[index])));
+
+    return clusters.map((cluster, i) => {
+        const centralText = texts[findCentralMember(cluster, embeddings)];
+        return {
+            keywords: keywords[i],
+            label: keywords[i].length > 0 ? keywords[i].slice(0, LABEL_KEYWORD_COUNT).join(' / ') : centralText,
+            centralText
+        };
+    });
+}
@@ -0,0 +1,86 @@
+// 两种划分之间的一致性指标。labelsA[i] 与 labelsB[i] 为同一条文本在两种划分中的标签，
+// 标签可以是任意值（簇编号、噪声 -1 等），相同的值视为同一组
+
+// 列联表：rows 与 cols 为各自的标签（按首次出现的顺序），counts[r][c] 为同时属于两者的文本数
+export function contingencyTable(labelsA, labelsB) {
+    const rowOf = new Map();
+    const colOf = new Map();
+    const counts = [];
+    labelsA.forEach((a, i) => {
+        const b = labelsB[i];
+        if (!rowOf.has(a)) {
+            rowOf.set(a, rowOf.size);
+            counts.push(new Array(colOf.size).fill(0));
+        }
+        if (!colOf.has(b)) {
+            colOf.set(b, colOf.size);
+            counts.forEach(row => row.push(0));
+        }
+        counts[rowOf.get(a)][colOf.get(b)]++;
+    });
+    return { rows: [...rowOf.keys()], cols: [...colOf.keys()], counts };
+}
+
+const rowSums = counts => counts.map(row => row.reduce((sum, count) => sum + count, 0));
+const colSums = counts => (counts.length === 0 ? [] : counts[0].map((_, c) => counts.reduce((sum, row) => sum + row[c], 0)));
+const pairs = n => n * (n - 1) / 2;
+
+// 熵（自然对数）
+function entropy(sizes, total) {
+    return -sizes.reduce((sum, size) => (size > 0 ? sum + size / total * Math.log(size / total) : sum), 0);
+}
+
+function mutualInformation(counts, total) {
+    const rows = rowSums(counts);
+    const cols = colSums(counts);
+    let mi = 0;
+    counts.forEach((row, r) => row.forEach((count, c) => {
+        if (count > 0) mi += count / total * Math.log(count * total / (rows[r] * cols[c]));
+    }));
+    return mi;
+}
+
+// 调整兰德指数（ARI）：完全一致为 1，与随机划分相当时接近 0，可能为负
+export function adjustedRandIndex({ counts }) {
+    const total = rowSums(counts).reduce((sum, size) => sum + size, 0);
+    const index = counts.reduce((sum, row) => sum + row.reduce((rowSum, count) => rowSum + pairs(count), 0), 0);
+    const rowPairs = rowSums(counts).reduce((sum, size) => sum + pairs(size), 0);
+    const colPairs = colSums(counts).reduce((sum, size) => sum + pairs(size), 0);
+    const expected = total > 1 ? rowPairs * colPairs / pairs(total) : 0;
+    const max = (rowPairs + colPairs) / 2;
+    // 两边都只有一组或都是单点时无法调整，按完全一致处理
+    if (max === expected) return 1;
+    return (index - expected) / (max - expected);
+}
+
+// 归一化互信息（NMI），按两边熵的算术平均归一化，取值 0 到 1
+export function normalizedMutualInfo({ counts }) {
+    const total = rowSums(counts).reduce((sum, size) => sum + size, 0);
+    if (total === 0) return 1;
+    const mean = (entropy(rowSums(counts), total) + entropy(colSums(counts), total)) / 2;
+    // 两边都只有一组时完全一致
+    if (mean === 0) return 1;
+    return mutualInformation(counts, total) / mean;
+}
+
+// 以下指标用于与人工标注对比：表的行为标注类别，列为簇
+
+// 纯度：每个簇中最多的类别所占文本之和 / 总数
+export function purity({ counts }) {
+    const total = rowSums(counts).reduce((sum, size) => sum + size, 0);
+    if (total === 0) return 1;
+    return colSums(counts).reduce((sum, _, c) => sum + counts.reduce((max, row) => Math.max(max, row[c]), 0), 0) / total;
+}
+
+// 同质性（每个簇只含一个类别）、完整性（每个类别只在一个簇中）与二者的调和平均 V-measure
+export function homogeneityCompleteness({ counts }) {
+    const total = rowSums(counts).reduce((sum, size) => sum + size, 0);
+    if (total === 0) return { homogeneity: 1, completeness: 1, vMeasure: 1 };
+    const classEntropy = entropy(rowSums(counts), total);
+    const clusterEntropy = entropy(colSums(counts), total);
+    const mi = mutualInformation(counts, total);
+    const homogeneity = classEntropy === 0 ? 1 : mi / classEntropy;
+    const completeness = clusterEntropy === 0 ? 1 : mi / clusterEntropy;
+    const vMeasure = homogeneity + completeness === 0 ? 0 : 2 * homogeneity * completeness / (homogeneity + completeness);
+    return { homogeneity, completeness, vMeasure };
+}
@@ -0,0 +1,89 @@
+import { env } from '@huggingface/transformers';
+import * as XLSX from 'xlsx';
+import { SERVER_MODEL_PATH } from './models.js';
+
+// 配置 transformers.js 的模型文件来源
+
+// 读取 zip 包中的文件，返回 Map<相对路径, Blob>
+async function readZip(file) {
+    const archive = XLSX.CFB.read(new Uint8Array(await file.arrayBuffer()), { type: 'array' });
+    const files = new Map();
+    archive.FileIndex.forEach((entry, i) => {
+        // type 2 为文件；跳过 CFB 内部的占位条目
+        if (entry.type !== 2 || entry.name.startsWith('\u0001')) return;
+        const path = archive.FullPaths[i].replace(/^Root Entry\//, '');
+        files.set(path, new Blob([entry.content]));
+    });
+    return files;
+}
+
+// 去掉所有文件共同的顶层目录，使路径形如 config.json、onnx/model.onnx
+function stripCommonRoot(files) {
+    const paths = [...files.keys()];
+    const roots = new Set(paths.map(path => (path.includes('/') ? path.split('/')[0] : '')));
+    if (roots.size !== 1 || roots.has('')) return files;
+    const root = [...roots][0];
+    return new Map(paths.map(path => [path.slice(root.length + 1), files.get(path)]));
+}
+
+// 整理用户选择的文件：一个 zip 包，或文件夹中的 [{ path, file }]
+export async function readModelFiles(entries) {
+    let files;
+    if (entries.length === 1 && entries[0].path.toLowerCase().endsWith('.zip')) {
+        files = await readZip(entries[0].file);
+    } else {
+        files = new Map(entries.map(({ path, file }) => [path.replace(/\\/g, '/'), file]));
+    }
+    files = stripCommonRoot(files);
+
+    if (!files.has('config.json') || !files.has('tokenizer.json')) {
+        throw new Error('所选文件中缺少 config.json 或 tokenizer.json');
+    }
+    if (![...files.keys()].some(path => path.endsWith('.onnx'))) {
+        throw new Error('所选文件中没有 ONNX 模型文件');
+    }
+    return files;
+}
+
+// 以 Web Cache API 的形式提供本地文件：按请求路径的最长后缀匹配
+function createFileCache(files) {
+    return {
+        async match(request) {
+            const key = typeof request === 'string' ? request : request.url;
+            let best = null;
+            files.forEach((_, path) => {
+                if ((key === path || key.endsWith(`/${path}`)) && (!best || path.length > best.length)) {
+                    best = path;
+                }
+            });
+            return best ? new Response(files.get(best)) : undefined;
+        },
+        async put() {
+            // 本地文件无需缓存
+        }
+    };
+}
+
+// 应用模型来源，source 为 { type, files? }
+// remote：从 huggingface.co 下载；server：只从部署目录加载；local：只从用户选择的文件加载
+export function applyModelSource(source) {
+    env.useCustomCache = false;
+    env.customCache = null;
+
+    if (source.type === 'local') {
+        env.allowRemoteModels = false;
+        env.allowLocalModels = true;
+        env.useBrowserCache = false;
+        env.useCustomCache = true;
+        env.customCache = createFileCache(source.files);
+    } else if (source.type === 'server') {
+        env.allowRemoteModels = false;
+        env.allowLocalModels = true;
+        env.localModelPath = SERVER_MODEL_PATH;
+        env.useBrowserCache = typeof caches !== 'undefined';
+    } else {
+        env.allowRemoteModels = true;
+        env.allowLocalModels = false;
+        env.useBrowserCache = typeof caches !== 'undefined';
+    }
+}
@@ -0,0 +1,59 @@
+// 可选的向量模型及其设置
+// pooling: 池化方式；passagePrefix / queryPrefix: 待聚类文本与检索查询的指令前缀；
+// maxTokens: 超出部分截断；dtypes: 可用的精度，第一项为默认值
+export const MODELS = {
+    'Xenova/bge-small-zh-v1.5': {
+        name: 'BGE-small-zh',
+        description: '中文，体积小、速度快',
+        pooling: 'mean',
+        passagePrefix: '',
+        queryPrefix: '为这个句子生成表示以用于检索相关文章：',
+        maxTokens: 512,
+        dtypes: ['fp32', 'fp16', 'q8'],
+    },
+    'Xenova/bge-base-zh-v1.5': {
+        name: 'BGE-base-zh',
+        description: '中文，质量更高，速度较慢',
+        pooling: 'cls',
+        passagePrefix: '',
+        queryPrefix: '为这个句子生成表示以用于检索相关文章：',
+        maxTokens: 512,
+        dtypes: ['fp32', 'fp16', 'q8'],
+    },
+    'Xenova/multilingual-e5-small': {
+        name: 'multilingual-e5-small',
+        description: '多语言，适合中英混合数据',
+        pooling: 'mean',
+        passagePrefix: 'passage: ',
+        queryPrefix: 'query: ',
+        maxTokens: 512,
+        dtypes: ['fp32', 'fp16', 'q8'],
+    },
+};
+
+export const DEFAULT_MODEL = 'Xenova/bge-small-zh-v1.5';
+
+// 精度选项的说明
+export const DTYPE_LABELS = {
+    fp32: 'fp32（精度最高）',
+    fp16: 'fp16（内存减半）',
+    q8: 'q8（最小最快，适合低配电脑）',
+};
+
+// 模型的有效配置，未知模型或精度时退回默认值
+export function resolveModelConfig(modelId, dtype) {
+    const id = modelId in MODELS ? modelId : DEFAULT_MODEL;
+    const model = MODELS[id];
+    return {
+        id,
+        ...model,
+        dtype: model.dtypes.includes(dtype) ? dtype : model.dtypes[0],
+    };
+}
+
+// 构建时配置的模型目录（随静态导出一起部署），例如 NEXT_PUBLIC_MODEL_PATH=/models/
+// 设置后默认从该目录加载模型，不再访问 huggingface.co
+export const SERVER_MODEL_PATH = process.env.NEXT_PUBLIC_MODEL_PATH || '';
+
+// 模型来源：remote 在线下载，server 部署目录，local 用户选择的本地文件
+export const DEFAULT_MODEL_SOURCE = SERVER_MODEL_PATH ? 'server' : 'remote';
@@ -0,0 +1,214 @@
+import { CancelledError } from './protocol.js';
+
+// 分块计算 ε-邻域：对每个点只保留相似度不低于阈值的邻居（包含自身）
+// 内存只与邻居数量相关，不再需要 n×n 的相似度矩阵
+
+// CPU 每块处理的行数
+const CPU_TILE_ROWS = 256;
+// GPU 每块的最大行（列）数
+const GPU_MAX_TILE = 2048;
+
+// 将向量打包为连续的 Float32Array，便于分块读取
+function packPoints(points) {
+    const dim = points[0].length;
+    const packed = new Float32Array(points.length * dim);
+    points.forEach((point, i) => packed.set(point, i * dim));
+    return packed;
+}
+
+function createNeighborLists(n) {
+    return Array.from({ length: n }, (_, i) => [i]);
+}
+
+// CPU 版本：按行分块，只计算上三角并对称写入
+// 每块之后让出事件循环，使取消消息能够被及时处理
+async function computeNeighborsCPU(points, threshold, onProgress) {
+    const n = points.length;
+    const dim = points[0].length;
+    const packed = packPoints(points);
+    const neighbors = createNeighborLists(n);
+    const totalTiles = Math.ceil(n / CPU_TILE_ROWS);
+
+    for (let tile = 0; tile < totalTiles; tile++) {
+        const rowEnd = Math.min(n, (tile + 1) * CPU_TILE_ROWS);
+        for (let i = tile * CPU_TILE_ROWS; i < rowEnd; i++) {
+            const offsetI = i * dim;
+            for (let j = i + 1; j < n; j++) {
+                const offsetJ = j * dim;
+                let similarity = 0;
+                for (let k = 0; k < dim; k++) {
+                    similarity += packed[offsetI + k] * packed[offsetJ + k];
+                }
+                if (similarity >= threshold) {
+                    neighbors[i].push(j);
+                    neighbors[j].push(i);
+                }
+            }
+        }
+        if (onProgress) onProgress(tile + 1, totalTiles);
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    return neighbors;
+}
+
+// 每个线程处理一行中的 32 列，把是否超过阈值写成一个 u32 位掩码，避免回读整块相似度
+function createShaderCode(dim) {
+    return `
+        struct Params {
+            rowCount: u32,
+            colCount: u32,
+            threshold: f32,
+            padding: u32,
+        }
+
+        @group(0) @binding(0) var<storage, read> rows: array<f32>;
+        @group(0) @binding(1) var<storage, read> cols: array<f32>;
+        @group(0) @binding(2) var<storage, read_write> mask: array<u32>;
+        @group(0) @binding(3) var<uniform> params: Params;
+
+        @compute @workgroup_size(64)
+        fn main(@builtin(global_invocation_id) global_id: vec3u) {
+            let wordsPerRow = (params.colCount + 31u) / 32u;
+            let idx = global_id.x;
+            if (idx >= params.rowCount * wordsPerRow) {
+                return;
+            }
+            let i = idx / wordsPerRow;
+            let word = idx % wordsPerRow;
+
+            var bits: u32 = 0u;
+            for (var b: u32 = 0u; b < 32u; b = b + 1u) {
+                let j = word * 32u + b;
+                if (j >= params.colCount) {
+                    break;
+                }
+                var dotProduct: f32 = 0.0;
+                for (var k: u32 = 0u; k < ${dim}u; k = k + 1u) {
+                    dotProduct = dotProduct + rows[i * ${dim}u + k] * cols[j * ${dim}u + k];
+                }
+                if (dotProduct >= params.threshold) {
+                    bits = bits | (1u << b);
+                }
+            }
+            mask[idx] = bits;
+        }
+    `;
+}
+
+// WebGPU 版本：行块 × 列块逐块计算，每块的缓冲区大小受设备限制约束
+async function computeNeighborsGPU(points, threshold, onProgress) {
+    const adapter = await navigator.gpu.requestAdapter();
+    if (!adapter) throw new Error('No GPU adapter found');
+    const device = await adapter.requestDevice();
+
+    const n = points.length;
+    const dim = points[0].length;
+    const packed = packPoints(points);
+
+    // 块大小：保证单个点块缓冲区不超过设备的存储缓冲区上限
+    const maxBinding = device.limits.maxStorageBufferBindingSize;
+    const tile = Math.max(32, Math.min(GPU_MAX_TILE, Math.floor(maxBinding / (dim * 4))));
+    const wordsPerRow = Math.ceil(tile / 32);
+    const maskBytes = tile * wordsPerRow * 4;
+
+    const rowsBuffer = device.createBuffer({ size: tile * dim * 4, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST });
+    const colsBuffer = device.createBuffer({ size: tile * dim * 4, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST });
+    const maskBuffer = device.createBuffer({ size: maskBytes, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC });
+    const paramsBuffer = device.createBuffer({ size: 16, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+    const readbackBuffer = device.createBuffer({ size: maskBytes, usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ });
+
+    const pipeline = device.createComputePipeline({
+        layout: 'auto',
+        compute: {
+            module: device.createShaderModule({ code: createShaderCode(dim) }),
+            entryPoint: 'main'
+        }
+    });
+    const bindGroup = device.createBindGroup({
+        layout: pipeline.getBindGroupLayout(0),
+        entries: [
+            { binding: 0, resource: { buffer: rowsBuffer } },
+            { binding: 1, resource: { buffer: colsBuffer } },
+            { binding: 2, resource: { buffer: maskBuffer } },
+            { binding: 3, resource: { buffer: paramsBuffer } }
+        ]
+    });
+
+    const neighbors = createNeighborLists(n);
+    const blockCount = Math.ceil(n / tile);
+    const totalTiles = blockCount * (blockCount + 1) / 2;
+    let doneTiles = 0;
+
+    try {
+        for (let rowBlock = 0; rowBlock < blockCount; rowBlock++) {
+            const rowStart = rowBlock * tile;
+            const rowCount = Math.min(tile, n - rowStart);
+            device.queue.writeBuffer(rowsBuffer, 0, packed, rowStart * dim, rowCount * dim);
+
+            // 只计算上三角的块，结果对称写入
+            for (let colBlock = rowBlock; colBlock < blockCount; colBlock++) {
+                const colStart = colBlock * tile;
+                const colCount = Math.min(tile, n - colStart);
+                device.queue.writeBuffer(colsBuffer, 0, packed, colStart * dim, colCount * dim);
+
+                const params = new ArrayBuffer(16);
+                new Uint32Array(params, 0, 2).set([rowCount, colCount]);
+                new Float32Array(params, 8, 1)[0] = threshold;
+                device.queue.writeBuffer(paramsBuffer, 0, params);
+
+                const blockWords = Math.ceil(colCount / 32);
+                const commandEncoder = device.createCommandEncoder();
+                const passEncoder = commandEncoder.beginComputePass();
+                passEncoder.setPipeline(pipeline);
+                passEncoder.setBindGroup(0, bindGroup);
+                passEncoder.dispatchWorkgroups(Math.ceil(rowCount * blockWords / 64));
+                passEncoder.end();
+                commandEncoder.copyBufferToBuffer(maskBuffer, 0, readbackBuffer, 0, rowCount * blockWords * 4);
+                device.queue.submit([commandEncoder.finish()]);
+
+                await readbackBuffer.mapAsync(GPUMapMode.READ, 0, rowCount * blockWords * 4);
+                const mask = new Uint32Array(readbackBuffer.getMappedRange(0, rowCount * blockWords * 4));
+                for (let r = 0; r < rowCount; r++) {
+                    const i = rowStart + r;
+                    for (let w = 0; w < blockWords; w++) {
+                        let bits = mask[r * blockWords + w];
+                        while (bits !== 0) {
+                            const b = 31 - Math.clz32(bits & -bits);
+                            bits &= bits - 1;
+                            const j = colStart + w * 32 + b;
+                            if (j > i) {
+                                neighbors[i].push(j);
+                                neighbors[j].push(i);
+                            }
+                        }
+                    }
+                }
+                readbackBuffer.unmap();
+
+                doneTiles++;
+                if (onProgress) onProgress(doneTiles, totalTiles);
+            }
+        }
+    } finally {
+        [rowsBuffer, colsBuffer, maskBuffer, paramsBuffer, readbackBuffer].forEach(buffer => buffer.destroy());
+        device.destroy();
+    }
+
+    return neighbors;
+}
+
+// 计算每个点的邻居列表（下标升序不保证），onProgress(current, total) 报告分块进度
+// onProgress 抛出的 CancelledError 会中止计算
+export async function computeNeighbors(points, threshold, { useGPU = false, onProgress = null } = {}) {
+    if (points.length === 0) return [];
+
+    if (useGPU && typeof navigator !== 'undefined' && 'gpu' in navigator) {
+        try {
+            return await computeNeighborsGPU(points, threshold, onProgress);
+        } catch (error) {
+            if (error instanceof CancelledError) throw error;
+            console.log('GPU computation failed, falling back to CPU:', error);
+        }
+    }
+    return computeNeighborsCPU(points, threshold, onProgress);
+}
@@ -1,42 +1,136 @@
 'use client'
 
-import { useState, useEffect, useRef } from 'react'
-import * as XLSX from 'xlsx'
+import { useState, useEffect, useRef, useMemo } from 'react'
+import FileImport from './components/FileImport'
+import AlgorithmParams, { ParamFields } from './components/AlgorithmParams'
+import ProjectionPanel from './components/ProjectionPanel'
+import TuningPanel from './components/TuningPanel'
+import SearchPanel from './components/SearchPanel'
+import ClusterCard from './components/ClusterCard'
+import NoiseCard from './components/NoiseCard'
+import DroppedCard from './components/DroppedCard'
+import DuplicatesPanel from './components/DuplicatesPanel'
+import ClassifierPanel from './components/ClassifierPanel'
+import PreprocessOptions from './components/PreprocessOptions'
+import CurationToolbar from './components/CurationToolbar'
+import ProjectPanel from './components/ProjectPanel'
+import RunComparison from './components/RunComparison'
+import EvaluationPanel from './components/EvaluationPanel'
+import ModelPicker from './components/ModelPicker'
+import ModelSourcePicker from './components/ModelSourcePicker'
+import { ALGORITHMS, DEFAULT_ALGORITHM, getDefaultParams } from './clustering'
+import { buildRecords } from './fileImport'
+import { getDefaultPreprocess } from './preprocess'
+import { DUPLICATE_PARAMS, getDefaultDuplicateParams } from './duplicates'
+import { CLASSIFIER_EXTENSION, getDefaultClassifyParams, createClassifier, parseClassifier } from './classifier'
+import { PROTOCOL_VERSION, JOB_STATUSES } from './protocol'
+import { MODELS, DEFAULT_MODEL, DEFAULT_MODEL_SOURCE, resolveModelConfig } from './models'
+import {
+  EXPORT_FORMATS, exportTimestamp, downloadBlob, buildRunInfo, exportXlsx, exportCsv, exportJson, exportEmbeddings,
+  buildDuplicateRunInfo, exportDuplicatesXlsx, exportDuplicatesCsv, exportDuplicatesJson
+} from './exportResults'
+import { PROJECT_EXTENSION, createProject, serializeProject, parseProject } from './project'
+import { listProjects, saveProject, loadProject, deleteProject } from './projectStore'
+import { addRun } from './runComparison'
+import { evaluateClustering } from './evaluation'
+import { DEFAULT_BATCH_SIZE, MAX_BATCH_SIZE, clampBatchSize } from './embedding'
+import { createCuration, moveTexts, mergeClusters, renameCluster, setSubclusters, createHistory, pushHistory, undo, redo } from './curation'
+
+// 任务模式：聚类、近似重复检测、归入冻结的簇
+const MODES = {
+  cluster: { label: '主题聚类', action: '开始聚类', running: '聚类中...' },
+  duplicates: { label: '近似重复检测', action: '开始检测', running: '检测中...' },
+  classify: { label: '归入已有簇', action: '开始归类', running: '归类中...' },
+};
+
+// 格式化字节数
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
 
 export default function Home() {
   const [texts, setTexts] = useState('');
-  const [modelStatus, setModelStatus] = useState('loading'); // loading, ready
+  const [imported, setImported] = useState(null); // { fileName, headers, rows, textColumn, weightColumn, labelColumn }
+  const [modelStatus, setModelStatus] = useState('loading'); // loading, ready, error
   const [device, setDevice] = useState(null); // webgpu, wasm
-  const [clusterStatus, setClusterStatus] = useState(null); // null, computing, clustering, complete
+  const [model, setModel] = useState(DEFAULT_MODEL);
+  const [dtype, setDtype] = useState(MODELS[DEFAULT_MODEL].dtypes[0]);
+  const [modelSource, setModelSource] = useState({ type: DEFAULT_MODEL_SOURCE, name: '' }); // remote, server, local
+  const [clusterStatus, setClusterStatus] = useState(null); // null, computing, clustering, complete, cancelled, error
   const [computeProgress, setComputeProgress] = useState(null); // { current, total, elapsedSeconds, speed }
   const [performance, setPerformance] = useState(null);
   const [results, setResults] = useState(null);
-  const [epsilon, setEpsilon] = useState(0.15);
-  const [minPts, setMinPts] = useState(2);
+  const [mode, setMode] = useState('cluster'); // 见 MODES
+  const [duplicateParams, setDuplicateParams] = useState(getDefaultDuplicateParams);
+  const [duplicates, setDuplicates] = useState(null); // 近似重复检测结果，见 docs/worker-protocol.md
+  const [classifier, setClassifier] = useState(null); // 冻结的簇，见 classifier.js
+  const [classifyParams, setClassifyParams] = useState(getDefaultClassifyParams);
+  const [freezePending, setFreezePending] = useState(false);
+  const [algorithm, setAlgorithm] = useState(DEFAULT_ALGORITHM);
+  const [algorithmParams, setAlgorithmParams] = useState(getDefaultParams); // { [algorithm]: params }
+  const [batchSize, setBatchSize] = useState(DEFAULT_BATCH_SIZE);
+  const [preprocess, setPreprocess] = useState(getDefaultPreprocess); // 见 preprocess.js
   const [errorMessage, setErrorMessage] = useState(null);
+  const [cacheStats, setCacheStats] = useState(null); // { count, bytes, maxEntries }
+  const [projection, setProjection] = useState(null); // { method, coordinates, indices }
+  const [projectionProgress, setProjectionProgress] = useState(null); // { current, total }
+  const [tuning, setTuning] = useState(null); // { k, minPts, curve, knee, sampled, sweep }
+  const [tuningProgress, setTuningProgress] = useState(null); // { stage, current, total }
+  const [search, setSearch] = useState(null); // { query, matches: [{ index, score }] }
+  const [searchPending, setSearchPending] = useState(false);
+  const [panelErrors, setPanelErrors] = useState({}); // 散点图、参数建议与检索各自的错误 { project, tune, search }
+  const [curation, setCuration] = useState(null); // 手动调整的撤销历史，见 curation.js
+  const [curationPending, setCurationPending] = useState(false); // 等待 worker 重新计算统计
+  const [selectedTexts, setSelectedTexts] = useState(() => new Set()); // 勾选的文本（输入位置）
+  const [runHistory, setRunHistory] = useState([]); // 本次会话的运行，见 runComparison.js
+  const [exportFormat, setExportFormat] = useState('xlsx'); // 见 exportResults.js 中的 EXPORT_FORMATS
+  const [exportPending, setExportPending] = useState(false);
+  const [projectName, setProjectName] = useState('');
+  const [projects, setProjects] = useState([]); // 浏览器中保存的项目摘要
+  const [projectBusy, setProjectBusy] = useState(false);
   
   const worker = useRef(null);
+  const submittedRecords = useRef([]); // 本次提交给 worker 的记录 [{ text, meta }]
+  const jobCounter = useRef(0);
+  const currentJobId = useRef(null); // 正在运行的任务，其他任务的消息一律丢弃
+  const resultsJobId = useRef(null); // 当前展示结果的任务，参数建议只接受该任务的向量
+  const curationRevision = useRef(0); // 最近一次提交的调整，较早的统计结果一律丢弃
+  const embeddingRequest = useRef(null); // 等待 worker 返回向量的 { resolve, reject }
+  const subclusterRequest = useRef(null); // 等待 worker 返回细分结果的 { resolve, reject }
+  const frozenName = useRef(''); // 正在冻结的簇文件名称
+  const tuningKeptJobId = useRef(null); // 应用参数建议的任务，完成后保留建议结果
+
+  // 向 worker 发送消息，格式见 docs/worker-protocol.md
+  const postToWorker = (type, data) => {
+    worker.current.postMessage({ version: PROTOCOL_VERSION, type, data });
+  };
 
   useEffect(() => {
     if (!worker.current) {
       worker.current = new Worker(new URL('./worker.js', import.meta.url), {
         type: 'module'
       });
+      worker.current.postMessage({ version: PROTOCOL_VERSION, type: 'get_cache_stats' });
     }
 
     const onMessageReceived = (e) => {
+      // 丢弃已取消或已被新任务取代的任务消息
+      if (JOB_STATUSES.includes(e.data.status) && e.data.jobId !== undefined && e.data.jobId !== currentJobId.current) {
+        return;
+      }
+
       switch (e.data.status) {
         case 'initiate':
           setModelStatus('loading');
-          setErrorMessage(null);
           break;
         case 'ready':
           setModelStatus('ready');
           setDevice(e.data.device);
-          setClusterStatus(null);
-          setComputeProgress(null);
-          setPerformance(null);
-          setErrorMessage(null);
+          setModel(e.data.model);
+          setDtype(e.data.dtype);
+          setModelSource({ type: e.data.source, name: e.data.sourceName });
           break;
         case 'computing':
           setClusterStatus('computing');
@@ -45,21 +139,154 @@ export default function Home() {
           break;
         case 'clustering':
           setClusterStatus('clustering');
-          setComputeProgress(null);
+          setComputeProgress(e.data.progress ?? null);
           setErrorMessage(null);
           break;
         case 'complete':
           setClusterStatus('complete');
           setComputeProgress(null);
-          setResults(e.data);
+          currentJobId.current = null;
+          resultsJobId.current = e.data.jobId;
           setPerformance(e.data.performance);
           setErrorMessage(null);
+          setSearch(null);
+          setPanelErrors({});
+          if (e.data.mode === 'duplicates') {
+            setDuplicates({ ...e.data, records: submittedRecords.current });
+            setResults(null);
+            setCuration(null);
+            setTuning(null);
+            setProjection(null);
+            break;
+          }
+          setDuplicates(null);
+          setResults({ ...e.data, records: submittedRecords.current });
+          setRunHistory(history => addRun(history, { ...e.data, records: submittedRecords.current }));
+          setCuration(createHistory(createCuration(e.data)));
+          setProjectName(name => name || `聚类项目_${exportTimestamp()}`);
+          setCurationPending(false);
+          setSelectedTexts(new Set());
+          setProjection(null);
+          setTuningProgress(null);
+          // 聚类期间返回的旧建议不对应新结果
+          if (e.data.jobId !== tuningKeptJobId.current) setTuning(null);
           break;
-        case 'error':
-          setClusterStatus('error');
+        case 'projecting':
+          setProjectionProgress(e.data.progress);
+          break;
+        case 'projection':
+          setProjectionProgress(null);
+          setProjection({ method: e.data.method, coordinates: e.data.coordinates, indices: e.data.indices });
+          break;
+        case 'restat_result':
+          if (e.data.jobId !== resultsJobId.current || e.data.revision !== curationRevision.current) break;
+          setCurationPending(false);
+          setResults(previous => ({
+            ...previous,
+            results: e.data.results,
+            noise: e.data.noise,
+            noiseIndices: e.data.noiseIndices,
+            noiseWeights: e.data.noiseWeights,
+            quality: e.data.quality
+          }));
+          break;
+        case 'embeddings':
+          embeddingRequest.current?.resolve({ jobId: e.data.jobId, data: e.data.data, dim: e.data.dim, indices: e.data.indices });
+          embeddingRequest.current = null;
+          break;
+        case 'tuning':
+          if (e.data.jobId === resultsJobId.current) setTuningProgress(e.data.progress);
+          break;
+        case 'tune_result':
+          if (e.data.jobId !== resultsJobId.current) break;
+          setTuningProgress(null);
+          setTuning({
+            k: e.data.k,
+            minPts: e.data.minPts,
+            curve: e.data.curve,
+            knee: e.data.knee,
+            sampled: e.data.sampled,
+            sweep: e.data.sweep
+          });
+          break;
+        case 'frozen':
+          if (e.data.jobId !== resultsJobId.current) break;
+          setFreezePending(false);
+          setClassifier(createClassifier({
+            name: frozenName.current,
+            model: e.data.model,
+            dtype: e.data.dtype,
+            clusters: e.data.clusters
+          }));
+          break;
+        case 'subcluster_result':
+          if (e.data.jobId !== resultsJobId.current) break;
+          subclusterRequest.current?.resolve(e.data.clusters);
+          subclusterRequest.current = null;
+          break;
+        case 'search_result':
+          if (e.data.jobId !== resultsJobId.current) break;
+          setSearchPending(false);
+          setSearch({ query: e.data.query, matches: e.data.matches });
+          break;
+        case 'cancelled':
+          currentJobId.current = null;
+          setClusterStatus('cancelled');
           setComputeProgress(null);
-          setErrorMessage(e.data.error);
+          break;
+        case 'error':
           console.error(e.data.error);
+          // 按出错的请求分别处理，只有当前聚类任务的错误才改变聚类状态
+          switch (e.data.request) {
+            case 'project':
+              setProjectionProgress(null);
+              setPanelErrors(errors => ({ ...errors, project: e.data.error }));
+              break;
+            case 'tune':
+              setTuningProgress(null);
+              setPanelErrors(errors => ({ ...errors, tune: e.data.error }));
+              break;
+            case 'search':
+              setSearchPending(false);
+              setPanelErrors(errors => ({ ...errors, search: e.data.error }));
+              break;
+            case 'get_embeddings':
+              embeddingRequest.current?.reject(new Error(e.data.error));
+              embeddingRequest.current = null;
+              setExportPending(false);
+              setErrorMessage(e.data.error);
+              break;
+            case 'subcluster':
+              subclusterRequest.current?.reject(new Error(e.data.error));
+              subclusterRequest.current = null;
+              setErrorMessage(e.data.error);
+              break;
+            case 'restat':
+              setCurationPending(false);
+              setErrorMessage(e.data.error);
+              break;
+            case 'freeze':
+              setFreezePending(false);
+              setErrorMessage(e.data.error);
+              break;
+            case undefined:
+            case 'compute_embeddings':
+              if (e.data.jobId === undefined) {
+                // 不带 jobId 的错误发生在模型加载期间时，视为模型加载失败
+                setModelStatus(status => (status === 'loading' ? 'error' : status));
+              } else {
+                currentJobId.current = null;
+                setClusterStatus('error');
+                setComputeProgress(null);
+              }
+              setErrorMessage(e.data.error);
+              break;
+            default:
+              setErrorMessage(e.data.error);
+          }
+          break;
+        case 'cache_stats':
+          setCacheStats(e.data.stats);
           break;
       }
     };
@@ -68,69 +295,412 @@ export default function Home() {
     return () => worker.current.removeEventListener('message', onMessageReceived);
   }, []);
 
-  const handleCluster = () => {
-    if (!texts.trim()) return;
+  // 当前待聚类的记录：导入文件时取选定的文本列，否则按行拆分输入框
+  const getRecords = () => {
+    if (imported) {
+      return buildRecords(imported.headers, imported.rows, imported.textColumn, {
+        weightColumn: imported.weightColumn ?? -1,
+        labelColumn: imported.labelColumn ?? -1
+      });
+    }
+    return texts.split('\n')
+      .filter(text => text.trim() !== '')
+      .map(text => ({ text, meta: {} }));
+  };
+
+  // overrides 可临时指定 { algorithm, params }，用于应用参数建议（总是聚类）
+  const handleCluster = (overrides = {}) => {
+    const records = getRecords();
+    if (records.length === 0) return;
     
     setClusterStatus('computing');
     setErrorMessage(null);
-    const textArray = texts.split('\n').filter(text => text.trim() !== '');
+    // 应用参数建议时保留建议结果，便于继续尝试其他 epsilon
+    if (!overrides.params) setTuning(null);
+    submittedRecords.current = records;
+    const jobId = ++jobCounter.current;
+    currentJobId.current = jobId;
+    tuningKeptJobId.current = overrides.params ? jobId : null;
     
-    worker.current.postMessage({
-      type: 'compute_embeddings',
-      data: {
-        texts: textArray,
-        epsilon,
-        minPts
+    const runMode = overrides.params ? 'cluster' : mode;
+    postToWorker('compute_embeddings', {
+      jobId,
+      texts: records.map(record => record.text),
+      weights: records.some(record => record.weight !== undefined) ? records.map(record => record.weight ?? 1) : undefined,
+      mode: runMode,
+      algorithm: overrides.algorithm ?? algorithm,
+      params: runMode === 'duplicates' ? duplicateParams
+        : runMode === 'classify' ? classifyParams
+        : overrides.params ?? algorithmParams[algorithm],
+      classifier: runMode === 'classify' ? classifier : undefined,
+      batchSize,
+      preprocess
+    });
+  };
+
+  // 提交手动调整：记录历史，并请 worker 按新的归属重新计算标签与统计
+  const applyCuration = (history) => {
+    if (history === curation) return;
+    setCuration(history);
+    setSelectedTexts(new Set());
+    setCurationPending(true);
+    const revision = ++curationRevision.current;
+    postToWorker('restat', {
+      jobId: results.jobId,
+      revision,
+      clusters: history.present.clusters,
+      noiseIndices: history.present.noiseIndices
+    });
+  };
+
+  const editCuration = (operation, ...args) => {
+    if (curationPending) return;
+    applyCuration(pushHistory(curation, operation(curation.present, ...args)));
+  };
+
+  const handleUndo = () => {
+    if (!curationPending) applyCuration(undo(curation));
+  };
+
+  const handleRedo = () => {
+    if (!curationPending) applyCuration(redo(curation));
+  };
+
+  const handleResetCuration = () => {
+    if (curationPending || curation.present === curation.original) return;
+    applyCuration(pushHistory(curation, curation.original));
+  };
+
+  // 细分一个簇：worker 只对该簇的向量重新聚类，结果作为一次调整记入历史（可撤销）
+  // 等待结果期间禁止其他调整，因此返回时 curation 仍是发起时的状态
+  const handleSubcluster = async (clusterIdx, subAlgorithm, subParams) => {
+    if (curationPending) return;
+    setCurationPending(true);
+    try {
+      const clusters = await new Promise((resolve, reject) => {
+        subclusterRequest.current = { resolve, reject };
+        postToWorker('subcluster', {
+          jobId: results.jobId,
+          indices: curation.present.clusters[clusterIdx].indices,
+          algorithm: subAlgorithm,
+          params: subParams
+        });
+      });
+      if (clusters.length === 0) {
+        setCurationPending(false);
+        setErrorMessage('没有细分出子簇，请放宽参数后重试');
+        return;
+      }
+      applyCuration(pushHistory(curation, setSubclusters(curation.present, clusterIdx, clusters)));
+    } catch {
+      // 错误信息已由 worker 的 error 消息显示
+      setCurationPending(false);
+    }
+  };
+
+  const toggleText = (index) => {
+    const next = new Set(selectedTexts);
+    if (next.has(index)) next.delete(index);
+    else next.add(index);
+    setSelectedTexts(next);
+  };
+
+  // 拖拽已勾选的文本时一起移动所有勾选的文本
+  const getDragIndices = (index) => (selectedTexts.has(index) ? [...selectedTexts] : [index]);
+
+  // 撤销 / 重做快捷键，输入框内不拦截
+  useEffect(() => {
+    if (!curation) return;
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        handleRedo();
       }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  });
+
+  const handleTune = () => {
+    setTuningProgress({ stage: 'kdistance', current: 0, total: 1 });
+    setPanelErrors(errors => ({ ...errors, tune: null }));
+    postToWorker('tune', { jobId: results.jobId, minPts: algorithmParams.dbscan.minPts });
+  };
+
+  // 应用建议的参数：切换到 DBSCAN 并重新聚类，文本未变时 worker 直接复用已有向量
+  const handleApplyTuning = (epsilon, minPts) => {
+    const params = { ...algorithmParams.dbscan, epsilon, minPts };
+    setAlgorithm('dbscan');
+    setAlgorithmParams({ ...algorithmParams, dbscan: params });
+    handleCluster({ algorithm: 'dbscan', params });
+  };
+
+  // 仅在用户切换模型时清空聚类状态；恢复项目也会触发模型加载，但要保留恢复的状态与提示
+  const handleModelChange = (newModel, newDtype) => {
+    // worker 切换模型时会取消正在运行的任务
+    currentJobId.current = null;
+    setModel(newModel);
+    setDtype(newDtype);
+    setModelStatus('loading');
+    setClusterStatus(null);
+    setComputeProgress(null);
+    setPerformance(null);
+    setErrorMessage(null);
+    postToWorker('load_model', { model: newModel, dtype: newDtype });
+  };
+
+  // 切换模型来源，本地来源附带用户选择的文件 [{ path, file }]
+  const handleSourceChange = (type, files, name) => {
+    currentJobId.current = null;
+    setModelStatus('loading');
+    setClusterStatus(null);
+    setComputeProgress(null);
+    setPerformance(null);
+    setErrorMessage(null);
+    postToWorker('load_model', { model, dtype, source: type, files, name });
+  };
+
+  const handleCancel = () => {
+    if (currentJobId.current === null) return;
+    postToWorker('cancel', { jobId: currentJobId.current });
+    // 立即更新界面，之后到达的该任务消息都会被丢弃
+    currentJobId.current = null;
+    setClusterStatus('cancelled');
+    setComputeProgress(null);
+  };
+
+  const handleProject = (method) => {
+    setProjectionProgress({ current: 0, total: 1 });
+    setPanelErrors(errors => ({ ...errors, project: null }));
+    postToWorker('project', { method, jobId: results.jobId });
+  };
+
+  const handleClearCache = () => {
+    if (!confirm('确定要清除本地向量缓存吗？')) return;
+    postToWorker('clear_cache');
+  };
+
+  // 簇的显示名称：手动命名优先，否则为自动标签
+  const clusterNames = results ? results.results.map(cluster => cluster.name || cluster.label) : [];
+
+  // 冻结当前（含手动调整的）结果，簇名称取手动命名或自动标签
+  const handleFreeze = () => {
+    frozenName.current = projectName.trim() || `聚类_${exportTimestamp()}`;
+    setFreezePending(true);
+    postToWorker('freeze', {
+      jobId: results.jobId,
+      clusters: results.results.map((cluster, idx) => ({ indices: cluster.indices, name: clusterNames[idx] }))
     });
   };
 
+  const handleOpenClassifier = async (file) => {
+    try {
+      setClassifier(parseClassifier(await file.text()));
+      setErrorMessage(null);
+    } catch (error) {
+      setErrorMessage(`打开簇文件失败: ${error.message}`);
+    }
+  };
+
+  const handleDownloadClassifier = () => {
+    downloadBlob(new Blob([JSON.stringify(classifier)], { type: 'application/json' }), `${classifier.name}${CLASSIFIER_EXTENSION}`);
+  };
+
+  const handleSearch = (query, topK) => {
+    setSearchPending(true);
+    setPanelErrors(errors => ({ ...errors, search: null }));
+    postToWorker('search', { jobId: results.jobId, query, topK });
+  };
+
+  // 检索结果中文本当前所属的簇（随手动调整变化），噪声为 null
+  const getAssignment = (index) => {
+    const clusterIdx = results.results.findIndex(cluster => cluster.indices.includes(index));
+    return clusterIdx === -1 ? null : `#${clusterIdx + 1} ${clusterNames[clusterIdx]}`;
+  };
+
+  const locateText = (index) => {
+    document.getElementById(`text-${index}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+
+  const searchHits = search ? new Set(search.matches.map(match => match.index)) : null;
+  const coreTexts = results?.coreIndices ? new Set(results.coreIndices) : null;
+  // 评估要遍历全部记录，只在结果变化时重新计算，而不是每次进度消息引起的重新渲染
+  const evaluation = useMemo(() => (results ? evaluateClustering(results) : null), [results]);
+
+  // 导出当前（含手动调整的）结果，向量格式需要先从 worker 取回向量
+  // 重复检测结果不导出向量，选中向量格式时退回 Excel
+  const activeExportFormat = duplicates && EXPORT_FORMATS[exportFormat].embeddings ? 'xlsx' : exportFormat;
+
   const handleDownload = () => {
+    if (duplicates) {
+      const runInfo = buildDuplicateRunInfo(duplicates);
+      const fileName = `duplicates_${exportTimestamp()}.${EXPORT_FORMATS[activeExportFormat].extension}`;
+      if (activeExportFormat === 'csv') exportDuplicatesCsv(duplicates, fileName);
+      else if (activeExportFormat === 'json') exportDuplicatesJson(duplicates, runInfo, fileName);
+      else exportDuplicatesXlsx(duplicates, runInfo, fileName);
+      return;
+    }
     if (!results) return;
+    const runInfo = buildRunInfo(results, { curated: curation ? curation.past.length > 0 : false });
+    const fileName = `clustered_results_${exportTimestamp()}.${EXPORT_FORMATS[exportFormat].extension}`;
 
-    // 准备Excel数据
-    const excelData = [];
-    
-    // 添加表头
-    excelData.push(['query', 'cluster_id']);
-    
-    // 添加正常聚类结果
-    results.results.forEach((cluster, clusterIdx) => {
-      cluster.texts.forEach(text => {
-        excelData.push([text, clusterIdx]);
-      });
+    if (exportFormat === 'xlsx') {
+      exportXlsx(results, runInfo, fileName);
+    } else if (exportFormat === 'csv') {
+      exportCsv(results, fileName);
+    } else if (exportFormat === 'json') {
+      exportJson(results, runInfo, fileName);
+    } else {
+      setExportPending(true);
+      requestEmbeddings()
+        .then(embeddings => exportEmbeddings(results, embeddings, runInfo, exportFormat, `embeddings_${exportTimestamp()}.zip`))
+        .catch(error => console.error('导出向量失败:', error))
+        .finally(() => setExportPending(false));
+    }
+  };
+
+  // 从 worker 取回当前结果使用的向量 { jobId, data, dim, indices }
+  const requestEmbeddings = () => new Promise((resolve, reject) => {
+    embeddingRequest.current?.reject(new Error('已被新的请求取代'));
+    embeddingRequest.current = { resolve, reject };
+    postToWorker('get_embeddings', { jobId: results.jobId });
+  });
+
+  const refreshProjects = () => {
+    listProjects().then(setProjects).catch(error => console.log('Failed to list projects:', error));
+  };
+
+  useEffect(() => {
+    refreshProjects();
+  }, []);
+
+  // 由当前状态创建项目，可选从 worker 取回向量
+  const collectProject = async (includeEmbeddings) => createProject({
+    name: projectName.trim(),
+    texts,
+    imported,
+    algorithm,
+    algorithmParams,
+    batchSize,
+    preprocess,
+    model,
+    dtype,
+    results,
+    curation,
+    embeddings: includeEmbeddings ? await requestEmbeddings() : null
+  });
+
+  // 执行项目操作，期间禁用项目按钮，出错时提示
+  const runProjectTask = async (task, errorPrefix) => {
+    setProjectBusy(true);
+    try {
+      await task();
+    } catch (error) {
+      console.error(error);
+      setErrorMessage(`${errorPrefix}: ${error.message}`);
+    } finally {
+      setProjectBusy(false);
+    }
+  };
+
+  const handleSaveProject = (includeEmbeddings) => runProjectTask(async () => {
+    await saveProject(await collectProject(includeEmbeddings));
+    refreshProjects();
+  }, '保存项目失败');
+
+  const handleDownloadProject = (includeEmbeddings) => runProjectTask(async () => {
+    const project = await collectProject(includeEmbeddings);
+    downloadBlob(new Blob([serializeProject(project)], { type: 'application/json' }), `${project.name}${PROJECT_EXTENSION}`);
+  }, '下载项目失败');
+
+  const handleOpenProjectFile = (file) => runProjectTask(async () => {
+    restoreProject(parseProject(await file.text()));
+  }, '打开项目失败');
+
+  const handleOpenProject = (id) => runProjectTask(async () => {
+    restoreProject(await loadProject(id));
+  }, '打开项目失败');
+
+  const handleDeleteProject = (id) => runProjectTask(async () => {
+    await deleteProject(id);
+    refreshProjects();
+  }, '删除项目失败');
+
+  // 恢复项目状态：结果立即显示，向量交给 worker，文本不变时重新聚类无需重新计算向量
+  const restoreProject = (project) => {
+    const jobId = ++jobCounter.current;
+    currentJobId.current = null;
+    resultsJobId.current = jobId;
+    curationRevision.current++;
+
+    const defaults = getDefaultParams();
+    const restoredResults = { ...project.results, jobId };
+    submittedRecords.current = restoredResults.records;
+
+    setProjectName(project.name);
+    setTexts(project.input.texts);
+    setImported(project.input.imported);
+    setAlgorithm(project.algorithm in ALGORITHMS ? project.algorithm : DEFAULT_ALGORITHM);
+    setAlgorithmParams(Object.fromEntries(Object.keys(defaults).map(id => [
+      id, { ...defaults[id], ...project.algorithmParams?.[id] }
+    ])));
+    setBatchSize(clampBatchSize(project.batchSize));
+    setMode('cluster');
+    setDuplicates(null);
+    setPreprocess({ ...getDefaultPreprocess(), ...project.preprocess });
+    const restoredModel = resolveModelConfig(project.model, project.dtype);
+    setModel(restoredModel.id);
+    setDtype(restoredModel.dtype);
+    setResults(restoredResults);
+    setRunHistory(history => addRun(history, restoredResults));
+    setPerformance(restoredResults.performance);
+    setCuration(project.curation
+      ? pushHistory(createHistory(project.curation.original), project.curation.present)
+      : createHistory(createCuration(restoredResults)));
+    setCurationPending(false);
+    setSelectedTexts(new Set());
+    setProjection(null);
+    setProjectionProgress(null);
+    setTuning(null);
+    setTuningProgress(null);
+    setSearch(null);
+    setSearchPending(false);
+    setClusterStatus('complete');
+    setComputeProgress(null);
+    setErrorMessage(project.embeddings ? null : '项目未包含向量：调整结果、散点图与参数建议需要先重新聚类（通常可直接使用浏览器中的向量缓存）');
+
+    // worker 中的文本为预处理后的文本，权重为合并重复文本后的权重，均取自结果而非原始记录
+    const { embeddings } = project;
+    const processedTexts = new Map();
+    const weights = new Map();
+    restoredResults.results.forEach(cluster => cluster.indices.forEach((index, i) => {
+      processedTexts.set(index, cluster.texts[i]);
+      if (cluster.weights) weights.set(index, cluster.weights[i]);
+    }));
+    restoredResults.noiseIndices.forEach((index, i) => {
+      processedTexts.set(index, restoredResults.noise[i]);
+      if (restoredResults.noiseWeights) weights.set(index, restoredResults.noiseWeights[i]);
     });
-    
-    // 添加噪声点
-    results.noise.forEach(text => {
-      excelData.push([text, -1]);
+    postToWorker('restore_session', {
+      jobId,
+      model: restoredModel.id,
+      dtype: restoredModel.dtype,
+      texts: embeddings ? embeddings.indices.map(index => processedTexts.get(index) ?? restoredResults.records[index].text) : [],
+      weights: embeddings && weights.size > 0 ? embeddings.indices.map(index => weights.get(index) ?? 1) : undefined,
+      embeddings
     });
-
-    // 创建工作簿
-    const wb = XLSX.utils.book_new();
-    const ws = XLSX.utils.aoa_to_sheet(excelData);
-    XLSX.utils.book_append_sheet(wb, ws, 'Clustering Results');
-
-    // 生成文件名：clustered_results_YYYYMMDD_HHMMSS.xlsx
-    const now = new Date();
-    const timestamp = now.toLocaleString('zh-CN', {
-      year: 'numeric',
-      month: '2-digit',
-      day: '2-digit',
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit',
-      hour12: false
-    }).replace(/[/:\s]/g, '').replace(',', '_');
-    
-    // 下载文件
-    XLSX.writeFile(wb, `clustered_results_${timestamp}.xlsx`);
   };
 
   const loadTestData = async () => {
     try {
       const response = await fetch('/test-data.txt');
       const data = await response.text();
+      setImported(null);
       setTexts(data);
     } catch (error) {
       console.error('加载测试数据失败:', error);
@@ -143,7 +713,20 @@ export default function Home() {
       {/* 左侧面板 */}
       <div className="w-1/2 p-6 bg-white shadow-lg">
         <h1 className="text-3xl font-bold mb-2">文本聚类分析</h1>
-        <h2 className="text-lg text-gray-600 mb-6">BGE-small-zh + DBSCAN聚类算法</h2>
+        <h2 className="text-lg text-gray-600 mb-6">{MODELS[model].name} + {ALGORITHMS[algorithm].name}聚类算法</h2>
+
+        <ProjectPanel
+          name={projectName}
+          onNameChange={setProjectName}
+          projects={projects}
+          canSave={!!results && !curationPending}
+          busy={projectBusy}
+          onSave={handleSaveProject}
+          onDownload={handleDownloadProject}
+          onOpenFile={handleOpenProjectFile}
+          onOpen={handleOpenProject}
+          onDelete={handleDeleteProject}
+        />
         
         {errorMessage && (
           <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-lg">
@@ -158,9 +741,21 @@ export default function Home() {
 
         <div className="mb-4">
           <div className="text-sm font-medium mb-1">模型状态</div>
+          <ModelPicker
+            model={model}
+            dtype={dtype}
+            disabled={modelStatus === 'loading'}
+            onChange={handleModelChange}
+          />
+          <ModelSourcePicker
+            source={modelSource.type}
+            sourceName={modelSource.name}
+            disabled={modelStatus === 'loading'}
+            onChange={handleSourceChange}
+          />
           <div className="flex items-center gap-2">
-            <span className={`text-sm ${modelStatus === 'ready' ? 'text-green-600' : 'text-orange-500'}`}>
-              {modelStatus === 'ready' ? '✓ 就绪' : '⟳ 加载中...'}
+            <span className={`text-sm ${modelStatus === 'ready' ? 'text-green-600' : modelStatus === 'error' ? 'text-red-600' : 'text-orange-500'}`}>
+              {modelStatus === 'ready' ? '✓ 就绪' : modelStatus === 'error' ? '× 加载失败' : '⟳ 加载中...'}
             </span>
             {device && (
               <span className={`
@@ -170,7 +765,26 @@ export default function Home() {
                 {device === 'webgpu' ? 'GPU' : 'WASM'}
               </span>
             )}
+            {modelStatus === 'ready' && (
+              <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-700">
+                {modelSource.type === 'local' ? `本地文件: ${modelSource.name}` : modelSource.type === 'server' ? '部署目录' : '在线'}
+              </span>
+            )}
           </div>
+          {cacheStats && (
+            <div className="flex items-center gap-2 mt-1 text-xs text-gray-500">
+              <span>
+                向量缓存: {cacheStats.count} / {cacheStats.maxEntries} 条 · {formatBytes(cacheStats.bytes)}
+              </span>
+              <button
+                onClick={handleClearCache}
+                disabled={clusterStatus === 'computing' || clusterStatus === 'clustering'}
+                className="px-2 py-0.5 text-gray-600 hover:text-red-600 hover:bg-red-50 rounded transition-colors disabled:text-gray-300 disabled:hover:bg-transparent"
+              >
+                清除缓存
+              </button>
+            </div>
+          )}
         </div>
 
         <div className="mb-4">
@@ -183,50 +797,110 @@ export default function Home() {
               使用测试数据
             </button>
           </div>
-          <textarea
-            className="w-full h-48 p-3 border rounded-lg shadow-inner bg-gray-50 focus:bg-white focus:ring-2 focus:ring-blue-200 focus:outline-none"
-            value={texts}
-            onChange={(e) => setTexts(e.target.value)}
-            placeholder="请输入要聚类的文本，每行一句..."
+          {!imported && (
+            <textarea
+              className="w-full h-48 p-3 mb-2 border rounded-lg shadow-inner bg-gray-50 focus:bg-white focus:ring-2 focus:ring-blue-200 focus:outline-none"
+              value={texts}
+              onChange={(e) => setTexts(e.target.value)}
+              placeholder="请输入要聚类的文本，每行一句..."
+            />
+          )}
+          <FileImport
+            imported={imported}
+            onImport={(data) => { setImported(data); setErrorMessage(null); }}
+            onTextColumnChange={(textColumn) => setImported({
+              ...imported,
+              textColumn,
+              weightColumn: imported.weightColumn === textColumn ? -1 : imported.weightColumn,
+              labelColumn: imported.labelColumn === textColumn ? -1 : imported.labelColumn
+            })}
+            onWeightColumnChange={(weightColumn) => setImported({ ...imported, weightColumn })}
+            onLabelColumnChange={(labelColumn) => setImported({ ...imported, labelColumn })}
+            onClear={() => setImported(null)}
+            onError={setErrorMessage}
           />
         </div>
 
         <div className="mb-6">
-          <label className="block text-sm font-medium mb-2">DBSCAN参数</label>
-          <div className="flex gap-4">
-            <div>
-              <label className="block text-xs text-gray-600 mb-1">Epsilon</label>
-              <input
-                type="number"
-                className="w-32 p-2 border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-200 focus:outline-none"
-                value={epsilon}
-                onChange={(e) => setEpsilon(parseFloat(e.target.value))}
-                step="0.1"
-                min="0"
-              />
-            </div>
-            <div>
-              <label className="block text-xs text-gray-600 mb-1">MinPts</label>
-              <input
-                type="number"
-                className="w-32 p-2 border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-200 focus:outline-none"
-                value={minPts}
-                onChange={(e) => setMinPts(parseInt(e.target.value))}
-                min="1"
-              />
-            </div>
+          <div className="flex items-center gap-4 mb-2">
+            {Object.entries(MODES).map(([id, { label }]) => (
+              <label key={id} className="flex items-center gap-1 text-sm font-medium">
+                <input type="radio" name="mode" checked={mode === id} onChange={() => setMode(id)} />
+                {label}
+              </label>
+            ))}
+          </div>
+          {mode === 'cluster' && (
+            <AlgorithmParams
+              algorithm={algorithm}
+              params={algorithmParams[algorithm]}
+              onAlgorithmChange={setAlgorithm}
+              onParamsChange={(params) => setAlgorithmParams({ ...algorithmParams, [algorithm]: params })}
+            />
+          )}
+          {mode === 'classify' && (
+            <ClassifierPanel
+              classifier={classifier}
+              params={classifyParams}
+              onParamsChange={setClassifyParams}
+              canFreeze={!!results && results.results.length > 0 && !curationPending}
+              freezing={freezePending}
+              onFreeze={handleFreeze}
+              onOpenFile={handleOpenClassifier}
+              onDownload={handleDownloadClassifier}
+              onClear={() => setClassifier(null)}
+            />
+          )}
+          {mode === 'duplicates' && (
+            <>
+              <ParamFields params={DUPLICATE_PARAMS} values={duplicateParams} onChange={setDuplicateParams} />
+              <p className="text-xs text-gray-400 mt-1">
+                余弦相似度不低于阈值的文本相连，连通的文本为一组重复，每组保留一条代表文本
+              </p>
+            </>
+          )}
+        </div>
+
+        <div className="mb-6">
+          <label className="block text-sm font-medium mb-2">向量计算</label>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">批大小</label>
+            <input
+              type="number"
+              className="w-32 p-2 border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-200 focus:outline-none"
+              value={batchSize}
+              onChange={(e) => setBatchSize(clampBatchSize(e.target.value))}
+              min="1"
+              max={MAX_BATCH_SIZE}
+            />
+            <p className="text-xs text-gray-400 mt-1">批次越大速度越快，但占用内存越多</p>
           </div>
         </div>
 
-        <button
-          className="w-full py-3 px-4 bg-blue-500 text-white rounded-lg hover:bg-blue-600 disabled:bg-gray-400 disabled:cursor-not-allowed shadow-sm transition-colors"
-          onClick={handleCluster}
-          disabled={modelStatus !== 'ready' || clusterStatus === 'computing' || clusterStatus === 'clustering'}
-        >
-          {clusterStatus === 'computing' ? '计算向量中...' : 
-           clusterStatus === 'clustering' ? '聚类中...' : 
-           '开始聚类'}
-        </button>
+        <div className="mb-6">
+          <label className="block text-sm font-medium mb-2">文本预处理</label>
+          <PreprocessOptions options={preprocess} onChange={setPreprocess} />
+        </div>
+
+        <div className="flex gap-2">
+          <button
+            className="flex-1 py-3 px-4 bg-blue-500 text-white rounded-lg hover:bg-blue-600 disabled:bg-gray-400 disabled:cursor-not-allowed shadow-sm transition-colors"
+            onClick={() => handleCluster()}
+            disabled={modelStatus !== 'ready' || clusterStatus === 'computing' || clusterStatus === 'clustering' || (mode === 'classify' && !classifier)}
+          >
+            {clusterStatus === 'computing' ? '计算向量中...' : 
+             clusterStatus === 'clustering' ? MODES[mode].running : 
+             MODES[mode].action}
+          </button>
+          {(clusterStatus === 'computing' || clusterStatus === 'clustering') && (
+            <button
+              className="py-3 px-4 bg-white text-red-600 border border-red-200 rounded-lg hover:bg-red-50 shadow-sm transition-colors"
+              onClick={handleCancel}
+            >
+              取消
+            </button>
+          )}
+        </div>
 
         {clusterStatus && (
           <div className="mt-4 space-y-2">
@@ -235,6 +909,7 @@ export default function Home() {
               <div className={`
                 ${clusterStatus === 'complete' ? 'text-green-600' : 
                   clusterStatus === 'error' ? 'text-red-600' : 
+                  clusterStatus === 'cancelled' ? 'text-gray-500' : 
                   'text-blue-500'}
               `}>
                 {clusterStatus === 'computing' && computeProgress && (
@@ -252,9 +927,14 @@ export default function Home() {
                     </span>
                   </div>
                 )}
-                {clusterStatus === 'clustering' && '⟳ 聚类中...'}
-                {clusterStatus === 'complete' && '✓ 聚类完成'}
+                {clusterStatus === 'clustering' && (
+                  computeProgress
+                    ? `⟳ 聚类中 (计算邻域 ${computeProgress.current}/${computeProgress.total} 块)`
+                    : '⟳ 聚类中...'
+                )}
+                {clusterStatus === 'complete' && (duplicates ? '✓ 检测完成' : '✓ 聚类完成')}
                 {clusterStatus === 'error' && '× 处理出错'}
+                {clusterStatus === 'cancelled' && '× 已取消'}
               </div>
             </div>
 
@@ -265,9 +945,14 @@ export default function Home() {
                   <div>向量计算: {performance.vectorizationTime}秒 ({performance.averageSpeed}条/秒)</div>
                   <div>聚类计算: {performance.clusteringTime}秒</div>
                   <div>总耗时: {performance.totalTime}秒</div>
+                  {results?.quality.silhouette != null && (
+                    <div>轮廓系数: {results.quality.silhouette.toFixed(3)}</div>
+                  )}
                 </div>
               </div>
             )}
+
+            {evaluation && <EvaluationPanel evaluation={evaluation} />}
           </div>
         )}
       </div>
@@ -277,44 +962,129 @@ export default function Home() {
         <div className="absolute inset-0 p-6 overflow-y-auto">
           <div className="sticky top-0 bg-gray-50 py-2">
             <div className="flex justify-between items-center mb-4">
-              <h2 className="text-xl font-bold">聚类结果</h2>
-              {results && (
-                <button
-                  onClick={handleDownload}
-                  className="px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 transition-colors"
-                >
-                  下载结果
-                </button>
+              <h2 className="text-xl font-bold">{duplicates ? '重复检测结果' : '聚类结果'}</h2>
+              {(results || duplicates) && (
+                <div className="flex items-center gap-2">
+                  <select
+                    className="p-2 text-sm border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-200 focus:outline-none"
+                    value={activeExportFormat}
+                    onChange={(e) => setExportFormat(e.target.value)}
+                  >
+                    {Object.entries(EXPORT_FORMATS)
+                      .filter(([, format]) => !(duplicates && format.embeddings))
+                      .map(([id, { label }]) => (
+                        <option key={id} value={id}>{label}</option>
+                      ))}
+                  </select>
+                  <button
+                    onClick={handleDownload}
+                    disabled={curationPending || exportPending}
+                    className="px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 disabled:bg-gray-400 transition-colors"
+                  >
+                    {exportPending ? '⟳ 准备中...' : '下载结果'}
+                  </button>
+                </div>
               )}
             </div>
           </div>
           
+          {duplicates && <DuplicatesPanel key={duplicates.jobId} duplicates={duplicates} />}
+
           {results && (
             <div className="space-y-4">
+              <TuningPanel
+                tuning={tuning}
+                tuningProgress={tuningProgress}
+                error={panelErrors.tune}
+                epsilon={algorithmParams.dbscan.epsilon}
+                minPts={algorithmParams.dbscan.minPts}
+                disabled={clusterStatus === 'computing' || clusterStatus === 'clustering'}
+                onTune={handleTune}
+                onApply={handleApplyTuning}
+              />
+
+              <SearchPanel
+                search={search}
+                pending={searchPending}
+                error={panelErrors.search}
+                disabled={clusterStatus === 'computing' || clusterStatus === 'clustering'}
+                records={results.records}
+                getAssignment={getAssignment}
+                onSearch={handleSearch}
+                onClear={() => setSearch(null)}
+                onLocate={locateText}
+              />
+
+              <ProjectionPanel
+                results={results}
+                projection={projection}
+                projectionProgress={projectionProgress}
+                error={panelErrors.project}
+                onProject={handleProject}
+              />
+
+              {runHistory.length > 1 && <RunComparison history={runHistory} />}
+
+              {curation && (
+                <CurationToolbar
+                  history={curation}
+                  clusterNames={clusterNames}
+                  selectedCount={selectedTexts.size}
+                  pending={curationPending}
+                  onUndo={handleUndo}
+                  onRedo={handleRedo}
+                  onReset={handleResetCuration}
+                  onMove={(target) => editCuration(moveTexts, [...selectedTexts], target)}
+                  onClearSelection={() => setSelectedTexts(new Set())}
+                />
+              )}
+
+              {results.dropped?.length > 0 && (
+                <DroppedCard dropped={results.dropped} records={results.records} />
+              )}
+
               {results.results.map((cluster, idx) => (
-                <div key={idx} className="border rounded-lg p-4 bg-white shadow-sm hover:shadow-md transition-shadow">
-                  <h3 className="font-medium mb-2 text-blue-600">
-                    簇 #{idx + 1} - {cluster.size} 条文本
-                  </h3>
-                  <ul className="list-disc pl-5 space-y-1">
-                    {cluster.texts.map((text, textIdx) => (
-                      <li key={textIdx} className="text-sm text-gray-700">{text}</li>
-                    ))}
-                  </ul>
-                </div>
+                <ClusterCard
+                  key={idx}
+                  cluster={cluster}
+                  idx={idx}
+                  records={results.records}
+                  highlighted={searchHits}
+                  coreTexts={coreTexts}
+                  newTopic={results.run?.mode === 'classify' && cluster.frozenId == null}
+                  curation={curation && {
+                    selected: selectedTexts,
+                    clusterNames,
+                    onToggle: toggleText,
+                    getDragIndices,
+                    onDropTexts: (indices) => editCuration(moveTexts, indices, idx),
+                    onRename: (name) => editCuration(renameCluster, idx, name),
+                    onMergeInto: (target) => editCuration(mergeClusters, idx, target),
+                    pending: curationPending,
+                    subclusterDefaults: results.run?.algorithm
+                      ? { algorithm: results.run.algorithm, params: results.run.params }
+                      : { algorithm, params: algorithmParams[algorithm] },
+                    onSubcluster: (subAlgorithm, subParams) => handleSubcluster(idx, subAlgorithm, subParams),
+                    onClearSubclusters: () => editCuration(setSubclusters, idx, null)
+                  }}
+                />
               ))}
 
-              {results.noise.length > 0 && (
-                <div className="border rounded-lg p-4 bg-gray-100 shadow-sm">
-                  <h3 className="font-medium mb-2 text-gray-600">
-                    噪声点 - {results.noise.length} 条文本
-                  </h3>
-                  <ul className="list-disc pl-5 space-y-1">
-                    {results.noise.map((text, idx) => (
-                      <li key={idx} className="text-sm text-gray-600">{text}</li>
-                    ))}
-                  </ul>
-                </div>
+              {(results.noise.length > 0 || curation) && (
+                <NoiseCard
+                  noise={results.noise}
+                  noiseIndices={results.noiseIndices}
+                  noiseWeights={results.noiseWeights}
+                  records={results.records}
+                  highlighted={searchHits}
+                  title={results.run?.mode === 'classify' ? '未归类' : undefined}
+                  curation={curation && {
+                    selected: selectedTexts,
+                    onToggle: toggleText,
+                    getDragIndices,
+                    onDropTexts: (indices) => editCuration(moveTexts, indices, -1)
+                  }}
+                />
               )}
             </div>
           )}
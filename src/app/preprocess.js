@@ -0,0 +1,124 @@
+import * as OpenCC from 'opencc-js/t2cn';
+
+// 向量计算前的文本预处理，在 worker 中执行；原文保留在前端的记录中，结果与导出同时给出原文和处理后的文本
+// 各步骤按 PREPROCESS_STEPS 的顺序执行，之后再按屏蔽规则与长度过滤
+
+export const PREPROCESS_STEPS = [
+    { key: 'fullwidth', label: '全角转半角' },
+    { key: 'traditional', label: '繁体转简体' },
+    { key: 'stripUrls', label: '去除网址' },
+    { key: 'stripEmoji', label: '去除表情符号' },
+    { key: 'stripPunctuation', label: '去除标点' },
+    { key: 'lowercase', label: '英文转小写' },
+];
+
+// 被过滤的原因
+export const DROP_REASONS = {
+    empty: '空文本',
+    blocked: '命中屏蔽规则',
+    tooShort: '过短',
+    tooLong: '过长',
+    duplicate: '重复（已合并计入权重）',
+};
+
+// 默认不做任何处理，只去掉空文本
+export function getDefaultPreprocess() {
+    return {
+        ...Object.fromEntries(PREPROCESS_STEPS.map(step => [step.key, false])),
+        minLength: 0,     // 处理后的最少字符数，0 为不限
+        maxLength: 0,     // 处理后的最多字符数，0 为不限
+        blocklist: '',    // 屏蔽规则，每行一个正则表达式（不区分大小写）
+        collapseDuplicates: false,  // 处理后完全相同的文本只保留一条，权重累加
+    };
+}
+
+// 解析屏蔽规则，正则无效时抛出带行号的错误
+export function compileBlocklist(text) {
+    return (text || '').split('\n')
+        .map((line, i) => [line.trim(), i + 1])
+        .filter(([line]) => line !== '')
+        .map(([line, lineNumber]) => {
+            try {
+                return new RegExp(line, 'iu');
+            } catch (error) {
+                throw new Error(`屏蔽规则第 ${lineNumber} 行无效: ${error.message}`);
+            }
+        });
+}
+
+const URL_PATTERN = /(?:https?:\/\/|www\.)\S+/gi;
+// 表情符号：图形字符、国旗区域指示符、肤色修饰、变体选择符与零宽连接符
+const EMOJI_PATTERN = /[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\u{1F3FB}-\u{1F3FF}\uFE0F\u200D]/gu;
+const PUNCTUATION_PATTERN = /\p{P}/gu;
+
+// 全角 ASCII 字符（！到～）与全角空格转为半角
+function toHalfWidth(text) {
+    return text.replace(/[\uFF01-\uFF5E]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xFEE0))
+        .replace(/\u3000/g, ' ');
+}
+
+let traditionalConverter = null;
+
+function toSimplified(text) {
+    if (!traditionalConverter) {
+        traditionalConverter = OpenCC.Converter({ from: 't', to: 'cn' });
+    }
+    return traditionalConverter(text);
+}
+
+// 创建预处理函数：text → { text, reason }，reason 非空表示该文本被过滤
+export function createPreprocessor(options = {}) {
+    const config = { ...getDefaultPreprocess(), ...options };
+    const blocklist = compileBlocklist(config.blocklist);
+    const stripping = config.stripUrls || config.stripEmoji || config.stripPunctuation;
+
+    return (original) => {
+        let text = original;
+        if (config.fullwidth) text = toHalfWidth(text);
+        if (config.traditional) text = toSimplified(text);
+        if (config.stripUrls) text = text.replace(URL_PATTERN, ' ');
+        if (config.stripEmoji) text = text.replace(EMOJI_PATTERN, '');
+        if (config.stripPunctuation) text = text.replace(PUNCTUATION_PATTERN, ' ');
+        if (config.lowercase) text = text.toLowerCase();
+        // 去除内容后合并多余的空白
+        if (stripping) text = text.replace(/\s+/g, ' ').trim();
+
+        if (text.trim() === '') return { text, reason: 'empty' };
+        if (blocklist.some(pattern => pattern.test(text))) return { text, reason: 'blocked' };
+        const length = [...text.trim()].length;
+        if (config.minLength > 0 && length < config.minLength) return { text, reason: 'tooShort' };
+        if (config.maxLength > 0 && length > config.maxLength) return { text, reason: 'tooLong' };
+        return { text, reason: null };
+    };
+}
+
+// 预处理全部文本，返回保留的文本、其在输入中的位置与权重，以及被过滤的 [{ index, reason }]
+// weights 为每条输入文本的权重，缺省为 1；合并重复文本时保留首次出现的一条并累加权重，
+// 其余记为 duplicate，duplicateOf 为保留文本在输入中的位置
+export function preprocessTexts(texts, options, weights = null) {
+    const preprocess = createPreprocessor(options);
+    const collapse = !!options?.collapseDuplicates;
+    const kept = [];
+    const sourceIndices = [];
+    const keptWeights = [];
+    const dropped = [];
+    const positionOf = new Map(); // 处理后的文本 → 在 kept 中的位置
+
+    texts.forEach((original, index) => {
+        const { text, reason } = preprocess(original);
+        const weight = weights?.[index] ?? 1;
+        if (reason) {
+            dropped.push({ index, reason });
+        } else if (collapse && positionOf.has(text)) {
+            const position = positionOf.get(text);
+            keptWeights[position] += weight;
+            dropped.push({ index, reason: 'duplicate', duplicateOf: sourceIndices[position] });
+        } else {
+            if (collapse) positionOf.set(text, kept.length);
+            kept.push(text);
+            sourceIndices.push(index);
+            keptWeights.push(weight);
+        }
+    });
+    return { texts: kept, sourceIndices, weights: keptWeights, dropped };
+}
@@ -0,0 +1,100 @@
+// 项目文件：保存输入、参数、模型、结果与手动调整（可选包含向量），之后可重新打开
+// 文件为 JSON，向量以 Base64 编码的 Float32（小端）存放
+
+export const PROJECT_FORMAT = 'text2vector-project';
+export const PROJECT_VERSION = 1;
+export const PROJECT_EXTENSION = '.t2v.json';
+
+// 由当前状态创建项目对象
+// state: { name, texts, imported, algorithm, algorithmParams, batchSize, preprocess, model, dtype, results, curation, embeddings }
+// embeddings 为 null 或 { data: Float32Array, dim, indices }
+export function createProject({ name, texts, imported, algorithm, algorithmParams, batchSize, preprocess, model, dtype, results, curation, embeddings }) {
+    return {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        name,
+        savedAt: new Date().toISOString(),
+        input: { texts, imported },
+        algorithm,
+        algorithmParams,
+        batchSize,
+        preprocess,
+        model,
+        dtype,
+        results,
+        // 只保存算法原始结果与当前调整，撤销历史不保存；未调整时为 null
+        curation: curation && curation.past.length > 0 ? { original: curation.original, present: curation.present } : null,
+        embeddings
+    };
+}
+
+// 项目列表中显示的摘要
+export function summarizeProject(project) {
+    return {
+        name: project.name,
+        savedAt: project.savedAt,
+        textCount: project.results?.records.length ?? 0,
+        clusterCount: project.results?.results.length ?? 0,
+        model: project.model,
+        hasEmbeddings: !!project.embeddings
+    };
+}
+
+function encodeBase64(bytes) {
+    let binary = '';
+    // 分块转换，避免参数过多导致栈溢出
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function decodeBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+// 序列化为项目文件内容
+export function serializeProject(project) {
+    const { embeddings } = project;
+    return JSON.stringify({
+        ...project,
+        embeddings: embeddings && {
+            dim: embeddings.dim,
+            indices: embeddings.indices,
+            data: encodeBase64(new Uint8Array(embeddings.data.buffer, embeddings.data.byteOffset, embeddings.data.byteLength))
+        }
+    });
+}
+
+// 解析并校验项目文件
+export function parseProject(text) {
+    let project;
+    try {
+        project = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`不是有效的 JSON 文件: ${error.message}`);
+    }
+    if (project?.format !== PROJECT_FORMAT) {
+        throw new Error('不是项目文件');
+    }
+    if (project.version > PROJECT_VERSION) {
+        throw new Error(`项目文件版本 ${project.version} 过新，请更新页面后再打开`);
+    }
+    if (!project.results || !project.input) {
+        throw new Error('项目文件缺少结果或输入');
+    }
+
+    const { embeddings } = project;
+    if (embeddings) {
+        const bytes = decodeBase64(embeddings.data);
+        const data = new Float32Array(bytes.buffer);
+        if (data.length !== embeddings.indices.length * embeddings.dim) {
+            throw new Error('项目文件中的向量已损坏');
+        }
+        project.embeddings = { ...embeddings, data };
+    }
+    return project;
+}
@@ -0,0 +1,84 @@
+import { summarizeProject } from './project.js';
+
+// 基于 IndexedDB 的本地项目列表，项目对象格式见 project.js
+// 摘要与完整项目分开存放，列出项目时无需读取结果与向量
+
+const DB_NAME = 'text2vector-projects';
+const DB_VERSION = 1;
+const SUMMARY_STORE = 'summaries';
+const PROJECT_STORE = 'projects';
+
+let dbPromise = null;
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function promisifyTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('当前环境不支持 IndexedDB'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(SUMMARY_STORE, { keyPath: 'id' });
+                request.result.createObjectStore(PROJECT_STORE, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // 打开失败时允许下次重试
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+// 列出已保存的项目摘要，按保存时间倒序
+export async function listProjects() {
+    const db = await openDatabase();
+    const transaction = db.transaction(SUMMARY_STORE, 'readonly');
+    const summaries = await promisifyRequest(transaction.objectStore(SUMMARY_STORE).getAll());
+    return summaries.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+// 保存项目，同名项目会被覆盖，返回项目 ID
+export async function saveProject(project) {
+    const id = project.name;
+    const db = await openDatabase();
+    const transaction = db.transaction([SUMMARY_STORE, PROJECT_STORE], 'readwrite');
+    transaction.objectStore(SUMMARY_STORE).put({ id, ...summarizeProject(project) });
+    transaction.objectStore(PROJECT_STORE).put({ id, project });
+    await promisifyTransaction(transaction);
+    return id;
+}
+
+export async function loadProject(id) {
+    const db = await openDatabase();
+    const transaction = db.transaction(PROJECT_STORE, 'readonly');
+    const entry = await promisifyRequest(transaction.objectStore(PROJECT_STORE).get(id));
+    if (!entry) {
+        throw new Error('项目不存在');
+    }
+    return entry.project;
+}
+
+export async function deleteProject(id) {
+    const db = await openDatabase();
+    const transaction = db.transaction([SUMMARY_STORE, PROJECT_STORE], 'readwrite');
+    transaction.objectStore(SUMMARY_STORE).delete(id);
+    transaction.objectStore(PROJECT_STORE).delete(id);
+    await promisifyTransaction(transaction);
+}
@@ -0,0 +1,172 @@
+import { dot, createRandom } from './vectorMath.js';
+
+// 将高维向量投影到二维，用于散点图展示
+
+// t-SNE 为 O(n²) 算法，超过该数量时退回 PCA
+export const TSNE_MAX_POINTS = 2000;
+
+// PCA：幂迭代求前两个主成分，返回 [[x, y], ...]
+export function pca(points, iterations = 100) {
+    const n = points.length;
+    if (n === 0) return [];
+    const dim = points[0].length;
+
+    // 中心化
+    const mean = new Float64Array(dim);
+    points.forEach(point => point.forEach((value, d) => { mean[d] += value / n; }));
+    const centered = points.map(point => point.map((value, d) => value - mean[d]));
+
+    const random = createRandom(1);
+    const components = [];
+    for (let c = 0; c < 2; c++) {
+        let vector = Array.from({ length: dim }, () => random() - 0.5);
+        for (let iter = 0; iter < iterations; iter++) {
+            // v ← Xᵀ(Xv)，并去掉已求出主成分的方向
+            const next = new Array(dim).fill(0);
+            centered.forEach(row => {
+                const projection = dot(row, vector);
+                for (let d = 0; d < dim; d++) next[d] += projection * row[d];
+            });
+            components.forEach(component => {
+                const overlap = dot(next, component);
+                for (let d = 0; d < dim; d++) next[d] -= overlap * component[d];
+            });
+            const norm = Math.sqrt(dot(next, next));
+            if (norm === 0) break;
+            vector = next.map(value => value / norm);
+        }
+        components.push(vector);
+    }
+
+    return centered.map(row => components.map(component => dot(row, component)));
+}
+
+// 对每个点二分查找高斯核的 beta，使条件分布的困惑度接近目标值
+function computeJointProbabilities(points, perplexity) {
+    const n = points.length;
+    const targetEntropy = Math.log(perplexity);
+    const conditional = new Float64Array(n * n);
+
+    // 归一化向量的平方欧氏距离 = 2 - 2·相似度
+    const distances = new Float64Array(n * n);
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const distance = Math.max(0, 2 - 2 * dot(points[i], points[j]));
+            distances[i * n + j] = distance;
+            distances[j * n + i] = distance;
+        }
+    }
+
+    for (let i = 0; i < n; i++) {
+        let beta = 1;
+        let betaMin = -Infinity;
+        let betaMax = Infinity;
+
+        for (let attempt = 0; attempt < 50; attempt++) {
+            let sum = 0;
+            for (let j = 0; j < n; j++) {
+                const p = j === i ? 0 : Math.exp(-distances[i * n + j] * beta);
+                conditional[i * n + j] = p;
+                sum += p;
+            }
+            let entropy = 0;
+            for (let j = 0; j < n; j++) {
+                const p = conditional[i * n + j] / (sum || 1);
+                conditional[i * n + j] = p;
+                if (p > 1e-7) entropy -= p * Math.log(p);
+            }
+
+            if (Math.abs(entropy - targetEntropy) < 1e-5) break;
+            if (entropy > targetEntropy) {
+                betaMin = beta;
+                beta = betaMax === Infinity ? beta * 2 : (beta + betaMax) / 2;
+            } else {
+                betaMax = beta;
+                beta = betaMin === -Infinity ? beta / 2 : (beta + betaMin) / 2;
+            }
+        }
+    }
+
+    // 对称化
+    const joint = new Float64Array(n * n);
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            joint[i * n + j] = Math.max((conditional[i * n + j] + conditional[j * n + i]) / (2 * n), 1e-12);
+        }
+    }
+    return joint;
+}
+
+// 精确 t-SNE，onProgress(current, total) 用于报告迭代进度
+export function tsne(points, { perplexity = 30, iterations = 500, learningRate = 200, onProgress = null } = {}) {
+    const n = points.length;
+    if (n < 3) return pca(points);
+
+    const P = computeJointProbabilities(points, Math.min(perplexity, (n - 1) / 3));
+
+    // 用缩小后的 PCA 结果初始化，保证结果稳定
+    const init = pca(points);
+    const scale = Math.sqrt(init.reduce((sum, [x]) => sum + x * x, 0) / n) || 1;
+    const Y = init.map(([x, y]) => [x / scale * 1e-4, y / scale * 1e-4]);
+
+    const velocity = Array.from({ length: n }, () => [0, 0]);
+    const gains = Array.from({ length: n }, () => [1, 1]);
+    const numerators = new Float64Array(n * n);
+
+    for (let iter = 0; iter < iterations; iter++) {
+        const exaggeration = iter < 100 ? 12 : 1;
+        const momentum = iter < 250 ? 0.5 : 0.8;
+
+        // 低维空间的 Student-t 相似度
+        let sumQ = 0;
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                const dx = Y[i][0] - Y[j][0];
+                const dy = Y[i][1] - Y[j][1];
+                const q = 1 / (1 + dx * dx + dy * dy);
+                numerators[i * n + j] = q;
+                numerators[j * n + i] = q;
+                sumQ += 2 * q;
+            }
+        }
+
+        for (let i = 0; i < n; i++) {
+            let gradX = 0;
+            let gradY = 0;
+            for (let j = 0; j < n; j++) {
+                if (i === j) continue;
+                const q = numerators[i * n + j];
+                const force = (exaggeration * P[i * n + j] - q / sumQ) * q;
+                gradX += 4 * force * (Y[i][0] - Y[j][0]);
+                gradY += 4 * force * (Y[i][1] - Y[j][1]);
+            }
+
+            [gradX, gradY].forEach((grad, d) => {
+                gains[i][d] = Math.sign(grad) === Math.sign(velocity[i][d])
+                    ? gains[i][d] * 0.8
+                    : gains[i][d] + 0.2;
+                gains[i][d] = Math.max(gains[i][d], 0.01);
+                velocity[i][d] = momentum * velocity[i][d] - learningRate * gains[i][d] * grad;
+            });
+        }
+
+        for (let i = 0; i < n; i++) {
+            Y[i][0] += velocity[i][0];
+            Y[i][1] += velocity[i][1];
+        }
+
+        if (onProgress && (iter % 10 === 0 || iter === iterations - 1)) {
+            onProgress(iter + 1, iterations);
+        }
+    }
+
+    return Y;
+}
+
+// 按方法投影，t-SNE 超过点数上限时退回 PCA
+export function project(points, method, options = {}) {
+    if (method === 'tsne' && points.length <= TSNE_MAX_POINTS) {
+        return { method: 'tsne', coordinates: tsne(points, options) };
+    }
+    return { method: 'pca', coordinates: pca(points) };
+}
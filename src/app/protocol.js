@@ -0,0 +1,14 @@
+// worker 消息协议版本，消息格式见 docs/worker-protocol.md
+// 不兼容的改动需要递增版本号
+export const PROTOCOL_VERSION = 1;
+
+// 与任务（jobId）绑定的响应状态，前端据此丢弃过期任务的消息
+export const JOB_STATUSES = ['computing', 'clustering', 'complete', 'cancelled', 'error'];
+
+// 任务被取消时在检查点抛出
+export class CancelledError extends Error {
+    constructor() {
+        super('任务已取消');
+        this.name = 'CancelledError';
+    }
+}
@@ -0,0 +1,92 @@
+import { contingencyTable, adjustedRandIndex, normalizedMutualInfo } from './metrics.js';
+
+// 同一会话中的运行历史与两次运行的对比
+// 运行结果格式同 worker 的 complete 消息（另有 records），保存的是运行刚完成时的结果，不含之后的手动调整
+
+// 只保留最近的若干次运行，避免长时间使用后占用过多内存
+export const MAX_RUN_HISTORY = 10;
+
+// 拆分 / 合并：一个簇中至少有该比例（且至少 2 条）的文本落到另一次运行的某个簇中，才算作去向之一
+const SIGNIFICANT_SHARE = 0.2;
+const SIGNIFICANT_COUNT = 2;
+
+// 追加一次运行，编号从 1 开始递增
+export function addRun(history, results) {
+    const id = history.length > 0 ? history[history.length - 1].id + 1 : 1;
+    return [...history, { id, finishedAt: new Date().toISOString(), results }].slice(-MAX_RUN_HISTORY);
+}
+
+// 每条参与聚类的文本（输入位置）所属的簇：results 中的下标，噪声为 -1
+function assignmentOf(results) {
+    const assignment = new Map();
+    results.results.forEach((cluster, clusterIdx) => cluster.indices.forEach(index => assignment.set(index, clusterIdx)));
+    results.noiseIndices.forEach(index => assignment.set(index, -1));
+    return assignment;
+}
+
+// 各簇的去向：counts 中某一行（或列）占比足够的位置，按数量降序；噪声不计
+function significantTargets(line, labels, size) {
+    return line
+        .map((count, i) => ({ cluster: labels[i], count }))
+        .filter(({ cluster, count }) => cluster !== -1 && count >= SIGNIFICANT_COUNT && count >= size * SIGNIFICANT_SHARE)
+        .sort((a, b) => b.count - a.count);
+}
+
+// 对比两次运行。文本按输入位置对应，原文不同（换了输入）的位置与只在一次运行中参与聚类的文本不参与比较
+// 噪声视为一个整体的组；返回：
+//   compared、onlyBefore、onlyAfter：参与比较的文本数与只在某一次中的文本数
+//   ari、nmi：两种划分的一致性
+//   overlap：{ rows, cols, counts }，rows 为 before 的簇下标（按簇顺序，噪声 -1 在最后），cols 同理为 after 的簇
+//   splits：before 中拆分到多个 after 簇的簇 [{ cluster, into: [{ cluster, count }] }]
+//   merges：after 中由多个 before 簇合并而成的簇 [{ cluster, from: [{ cluster, count }] }]
+//   moved：[{ index, from, to }]，去向不是其原簇主要去向（重叠最多的 after 簇）的文本，以及不再是噪声的文本
+export function compareRuns(before, after) {
+    const beforeAssignment = assignmentOf(before);
+    const afterAssignment = assignmentOf(after);
+    const sameText = index => before.records[index]?.text === after.records[index]?.text;
+
+    const indices = [...beforeAssignment.keys()].filter(index => afterAssignment.has(index) && sameText(index)).sort((a, b) => a - b);
+    const labelsBefore = indices.map(index => beforeAssignment.get(index));
+    const labelsAfter = indices.map(index => afterAssignment.get(index));
+    const table = contingencyTable(labelsBefore, labelsAfter);
+
+    // 按簇顺序重排，噪声排在最后
+    const order = labels => [...labels].sort((a, b) => (a === -1) - (b === -1) || a - b);
+    const rows = order(table.rows);
+    const cols = order(table.cols);
+    const rowOf = new Map(table.rows.map((label, r) => [label, r]));
+    const colOf = new Map(table.cols.map((label, c) => [label, c]));
+    const counts = rows.map(row => cols.map(col => table.counts[rowOf.get(row)][colOf.get(col)]));
+    const rowSizes = counts.map(line => line.reduce((sum, count) => sum + count, 0));
+    const colSizes = cols.map((_, c) => counts.reduce((sum, line) => sum + line[c], 0));
+
+    const splits = [];
+    rows.forEach((cluster, r) => {
+        if (cluster === -1) return;
+        const into = significantTargets(counts[r], cols, rowSizes[r]);
+        if (into.length > 1) splits.push({ cluster, into });
+    });
+    const merges = [];
+    cols.forEach((cluster, c) => {
+        if (cluster === -1) return;
+        const from = significantTargets(counts.map(line => line[c]), rows, colSizes[c]);
+        if (from.length > 1) merges.push({ cluster, from });
+    });
+
+    const mainTarget = new Map(rows.map((cluster, r) => [cluster, cluster === -1 ? -1 : cols[counts[r].reduce((best, count, c) => (count > counts[r][best] ? c : best), 0)]]));
+    const moved = indices
+        .map((index, i) => ({ index, from: labelsBefore[i], to: labelsAfter[i] }))
+        .filter(({ from, to }) => mainTarget.get(from) !== to);
+
+    return {
+        compared: indices.length,
+        onlyBefore: beforeAssignment.size - indices.length,
+        onlyAfter: afterAssignment.size - indices.length,
+        ari: indices.length > 0 ? adjustedRandIndex(table) : null,
+        nmi: indices.length > 0 ? normalizedMutualInfo(table) : null,
+        overlap: { rows, cols, counts },
+        splits,
+        merges,
+        moved
+    };
+}
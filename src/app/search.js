@@ -0,0 +1,23 @@
+import { dot } from './vectorMath.js';
+
+// 语义检索：查询向量与全部文本向量逐一比较，保留相似度最高的 topK 条
+// 只维护一个长度为 topK 的有序列表，不对全部相似度排序
+
+export const DEFAULT_TOP_K = 10;
+
+// 返回 [{ index, score }]，按相似度降序，index 为 points 中的下标
+export function searchNearest(points, query, topK = DEFAULT_TOP_K) {
+    const k = Math.max(1, Math.min(topK, points.length));
+    const best = [];
+
+    for (let i = 0; i < points.length; i++) {
+        const score = dot(points[i], query);
+        if (best.length === k && score <= best[k - 1].score) continue;
+
+        let position = best.length;
+        while (position > 0 && best[position - 1].score < score) position--;
+        best.splice(position, 0, { index: i, score });
+        if (best.length > k) best.pop();
+    }
+    return best;
+}
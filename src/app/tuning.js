@@ -0,0 +1,151 @@
+import { expandClusters } from './dbscan.js';
+import { computeNeighbors } from './neighbors.js';
+import { silhouetteScore } from './clusterStats.js';
+import { createRandom, dot } from './vectorMath.js';
+
+// DBSCAN 参数建议：k-距离曲线与拐点，以及一组 epsilon 的扫描结果
+
+// k-距离曲线最多抽样的点数，每个抽样点仍与全部点比较，因此曲线是无偏估计
+export const KDISTANCE_MAX_QUERIES = 2000;
+// 返回给前端的曲线点数
+const CURVE_POINTS = 200;
+// 每块处理的抽样点数，块之间让出事件循环
+const QUERY_TILE = 64;
+// 扫描的 epsilon 取自 k-距离的这些分位数（约等于核心点比例）
+const SWEEP_QUANTILES = [0.3, 0.5, 0.6, 0.7, 0.8, 0.85, 0.9, 0.95];
+
+// 抽样点的下标，不超过 limit 时取全部
+function sampleIndices(n, limit) {
+    const indices = Array.from({ length: n }, (_, i) => i);
+    if (n <= limit) return indices;
+    const random = createRandom(7);
+    for (let i = 0; i < limit; i++) {
+        const j = i + Math.floor(random() * (n - i));
+        [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+    return indices.slice(0, limit);
+}
+
+// 每个抽样点到第 k 个最近的其他点的余弦距离，升序返回
+async function computeKDistances(points, k, onProgress) {
+    const n = points.length;
+    const dim = points[0].length;
+    const packed = new Float32Array(n * dim);
+    points.forEach((point, i) => packed.set(point, i * dim));
+
+    const queries = sampleIndices(n, KDISTANCE_MAX_QUERIES);
+    const distances = new Float64Array(queries.length);
+    // 当前最相似的 k 个相似度，降序
+    const best = new Float64Array(k);
+
+    for (let start = 0; start < queries.length; start += QUERY_TILE) {
+        const end = Math.min(queries.length, start + QUERY_TILE);
+        for (let q = start; q < end; q++) {
+            const i = queries[q];
+            const offsetI = i * dim;
+            best.fill(-Infinity);
+            for (let j = 0; j < n; j++) {
+                if (j === i) continue;
+                const offsetJ = j * dim;
+                let similarity = 0;
+                for (let d = 0; d < dim; d++) {
+                    similarity += packed[offsetI + d] * packed[offsetJ + d];
+                }
+                if (similarity <= best[k - 1]) continue;
+                let position = k - 1;
+                while (position > 0 && best[position - 1] < similarity) {
+                    best[position] = best[position - 1];
+                    position--;
+                }
+                best[position] = similarity;
+            }
+            distances[q] = 1 - best[k - 1];
+        }
+        if (onProgress) onProgress(end, queries.length);
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    return { distances: distances.sort(), sampled: queries.length < n };
+}
+
+// 拐点（Kneedle）：曲线归一化后离首尾连线最远的点
+// 升序的 k-距离曲线先平后陡，拐点之后的点大多是噪声
+export function findKnee(sorted) {
+    const m = sorted.length;
+    const range = sorted[m - 1] - sorted[0];
+    if (m < 3 || range <= 0) return Math.floor((m - 1) / 2);
+
+    let knee = 0;
+    let maxGap = -Infinity;
+    for (let i = 0; i < m; i++) {
+        const gap = i / (m - 1) - (sorted[i] - sorted[0]) / range;
+        if (gap > maxGap) {
+            maxGap = gap;
+            knee = i;
+        }
+    }
+    return knee;
+}
+
+const roundEpsilon = value => Math.round(value * 1000) / 1000;
+
+// 计算 k-距离曲线（k = minPts - 1，与 DBSCAN 的核心点判定一致）并扫描一组 epsilon
+// 扫描只在最大的候选 epsilon 下计算一次全部点的邻域，较小的 epsilon 按相似度从中筛选，不再每个候选重跑邻域计算
+// onProgress(stage, current, total)，stage 为 'kdistance'、'neighbors' 或 'sweep'
+// 返回 { k, curve: [{ position, epsilon }], knee: { position, epsilon }, sampled, sweep: [{ epsilon, clusters, noiseRatio, silhouette }] }
+// weights 为每条文本的权重，扫描时与聚类一样计入 DBSCAN 的密度；k-距离曲线不加权
+export async function suggestEpsilon(points, minPts, { useGPU = false, onProgress = null, weights = null } = {}) {
+    const n = points.length;
+    if (n < 3) {
+        throw new Error('文本太少，至少需要 3 条');
+    }
+    const k = Math.min(n - 1, Math.max(1, minPts - 1));
+
+    const { distances, sampled } = await computeKDistances(points, k, onProgress && ((current, total) => onProgress('kdistance', current, total)));
+    const m = distances.length;
+    const kneeIndex = findKnee(distances);
+    const position = i => (m > 1 ? i / (m - 1) : 0);
+
+    const step = Math.max(1, (m - 1) / (CURVE_POINTS - 1));
+    const curve = [];
+    for (let x = 0; x < m; x += step) {
+        const i = Math.round(x);
+        curve.push({ position: position(i), epsilon: distances[i] });
+    }
+    if (curve[curve.length - 1].position < 1) {
+        curve.push({ position: 1, epsilon: distances[m - 1] });
+    }
+    const knee = { position: position(kneeIndex), epsilon: roundEpsilon(distances[kneeIndex]) };
+
+    // 候选 epsilon：拐点与若干分位数，去重后升序
+    const candidates = [...new Set([
+        knee.epsilon,
+        ...SWEEP_QUANTILES.map(q => roundEpsilon(distances[Math.round(q * (m - 1))]))
+    ])].filter(epsilon => epsilon > 0).sort((a, b) => a - b);
+
+    const sweep = [];
+    if (candidates.length === 0) return { k, minPts, curve, knee, sampled, sweep };
+
+    const neighborLists = await computeNeighbors(points, 1 - candidates[candidates.length - 1], {
+        useGPU,
+        onProgress: onProgress && ((current, total) => onProgress('neighbors', current, total))
+    });
+    const similarities = neighborLists.map((neighbors, i) => Float32Array.from(neighbors, j => dot(points[i], points[j])));
+
+    for (let i = 0; i < candidates.length; i++) {
+        const epsilon = candidates[i];
+        const threshold = 1 - epsilon;
+        const lists = neighborLists.map((neighbors, p) => neighbors.filter((_, q) => similarities[p][q] >= threshold));
+        const { clusters, noise } = expandClusters(lists, minPts, weights);
+        sweep.push({
+            epsilon,
+            clusters: clusters.length,
+            noiseRatio: noise.length / n,
+            silhouette: silhouetteScore(clusters, points)
+        });
+        if (onProgress) onProgress('sweep', i + 1, candidates.length);
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    return { k, minPts, curve, knee, sampled, sweep };
+}
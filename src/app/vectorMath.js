@@ -0,0 +1,28 @@
+// 向量运算与随机数等公共工具
+
+// 点积（向量已归一化时即余弦相似度）
+export function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += a[i] * b[i];
+    }
+    return sum;
+}
+
+// 归一化为单位向量
+export function normalize(vector) {
+    const norm = Math.sqrt(dot(vector, vector));
+    return norm === 0 ? vector : vector.map(value => value / norm);
+}
+
+// 固定种子的伪随机数（mulberry32），保证同样的输入得到同样的结果
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
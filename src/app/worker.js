@@ -1,99 +1,236 @@
 import { pipeline } from "@huggingface/transformers";
-import { dbscan } from './dbscan';
+import { runClustering, checkPointLimit, getDefaultParams, DEFAULT_ALGORITHM } from './clustering.js';
+import { project } from './projection.js';
+import { suggestEpsilon } from './tuning.js';
+import { findDuplicates, getDefaultDuplicateParams } from './duplicates.js';
+import { searchNearest, DEFAULT_TOP_K } from './search.js';
+import { classifyTexts, freezeClusters, getDefaultClassifyParams } from './classifier.js';
+import { preprocessTexts, getDefaultPreprocess } from './preprocess.js';
+import { describeClusters, describeDuplicates } from './describe.js';
+import { clampBatchSize, getEmbeddingOptions, orderForBatching, embedBatch } from './embedding.js';
+import { getCacheKey, getCachedVectors, putCachedVectors, getCacheStats, clearCache } from './embeddingCache.js';
+import { PROTOCOL_VERSION, CancelledError } from './protocol.js';
+import { DEFAULT_MODEL, DEFAULT_MODEL_SOURCE, SERVER_MODEL_PATH, resolveModelConfig } from './models.js';
+import { applyModelSource, readModelFiles } from './modelSource.js';
 
 // 使用Singleton模式实现向量计算pipeline的懒加载
 class PipelineSingleton {
     static task = 'feature-extraction';
-    static model = 'Xenova/bge-small-zh-v1.5';
-    static instance = null;
+    static config = resolveModelConfig(DEFAULT_MODEL);  // 当前模型配置，见 models.js
+    static source = { type: DEFAULT_MODEL_SOURCE, name: '', files: null };  // 模型文件来源，见 modelSource.js
+    static instance = null;  // 加载中或已加载的 pipeline（Promise）
     static device = 'wasm';  // 默认使用 wasm
     static useGPU = false;
 
-    static async getInstance(progress_callback = null) {
+    static get model() {
+        return this.config.id;
+    }
+
+    // 传给 pipeline 的模型路径；本地文件以文件夹名区分，模型设置仍取自 config
+    static get modelPath() {
+        return this.source.type === 'local' ? `local/${this.source.name}` : this.config.id;
+    }
+
+    // 加载进度回传前端
+    static progressCallback(x) {
+        self.postMessage({
+            status: 'loading',
+            progress: x
+        });
+    }
+
+    static async getInstance() {
         if (!this.instance) {
-            self.postMessage({ status: 'initiate' });
+            this.instance = this.load();
+            // 加载失败时允许下次重试
+            this.instance.catch(() => { this.instance = null; });
+        }
+        return this.instance;
+    }
 
-            // 检测WebGPU支持
+    // 切换模型、精度或来源，下次 getInstance 时重新加载
+    // 本地文件每次都重新加载，因为同名文件夹的内容可能不同
+    static async setModel(modelId, dtype, source = this.source) {
+        const config = resolveModelConfig(modelId, dtype);
+        if (config.id === this.config.id && config.dtype === this.config.dtype &&
+            source.type === this.source.type && source.type !== 'local' && this.instance) {
+            return false;
+        }
+
+        if (this.instance) {
+            const previous = this.instance;
+            this.instance = null;
             try {
-                if ('gpu' in navigator) {
-                    const adapter = await navigator.gpu.requestAdapter();
-                    if (adapter) {
-                        const device = await adapter.requestDevice();
-                        if (device) {
-                            this.device = 'webgpu';
-                            this.useGPU = true;
-                            console.log('WebGPU is supported and will be used for computations');
-                        }
-                    }
-                }
+                await (await previous).dispose();
             } catch (e) {
-                console.log('WebGPU initialization failed:', e);
-                this.device = 'wasm';
-                this.useGPU = false;
+                console.log('Failed to dispose previous pipeline:', e);
             }
+        }
+        this.config = config;
+        this.source = source;
+        return true;
+    }
 
-            try {
-                // 配置选项
-                const options = {
-                    progress_callback,
-                    device: this.device,
-                    quantized: false,  // 禁用量化以使用fp32
-                    session_options: {
-                        logSeverityLevel: 3  // 设置日志级别为ERROR (0=Verbose, 1=Info, 2=Warning, 3=Error, 4=Fatal)
-                    }
-                };
+    static async load() {
+        self.postMessage({ status: 'initiate', model: this.config.id, dtype: this.config.dtype });
 
-                // 创建pipeline
-                this.instance = await pipeline(this.task, this.model, options);
+        // 检测WebGPU支持
+        try {
+            if ('gpu' in navigator) {
+                const adapter = await navigator.gpu.requestAdapter();
+                if (adapter) {
+                    const device = await adapter.requestDevice();
+                    if (device) {
+                        this.device = 'webgpu';
+                        this.useGPU = true;
+                        console.log('WebGPU is supported and will be used for computations');
+                    }
+                }
+            }
+        } catch (e) {
+            console.log('WebGPU initialization failed:', e);
+            this.device = 'wasm';
+            this.useGPU = false;
+        }
 
-                // 通知前端当前使用的设备
-                self.postMessage({ 
-                    status: 'ready',
-                    device: this.device,
-                    useGPU: this.useGPU
-                });
-            } catch (error) {
-                // 处理各种可能的错误
-                let errorMessage = '初始化失败: ';
-                
-                if (error.message.includes('Failed to fetch')) {
-                    errorMessage += '无法下载模型，请检查网络连接';
-                } else if (error.name === 'TypeError') {
-                    errorMessage += '浏览器版本过低，请使用最新版Chrome等现代浏览器';
-                } else {
-                    errorMessage += error.message;
+        try {
+            // 配置选项
+            const options = {
+                progress_callback: x => this.progressCallback(x),
+                device: this.device,
+                dtype: this.config.dtype,
+                session_options: {
+                    logSeverityLevel: 3  // 设置日志级别为ERROR (0=Verbose, 1=Info, 2=Warning, 3=Error, 4=Fatal)
                 }
-                
-                throw new Error(errorMessage);
+            };
+
+            // 创建pipeline
+            applyModelSource(this.source);
+            const instance = await pipeline(this.task, this.modelPath, options);
+
+            // 超过 maxTokens 的文本由分词器截断
+            instance.tokenizer.model_max_length = this.config.maxTokens;
+
+            // 通知前端当前使用的设备与模型
+            self.postMessage({ 
+                status: 'ready',
+                device: this.device,
+                useGPU: this.useGPU,
+                model: this.config.id,
+                dtype: this.config.dtype,
+                source: this.source.type,
+                sourceName: this.source.name,
+                protocolVersion: PROTOCOL_VERSION
+            });
+            return instance;
+        } catch (error) {
+            // 处理各种可能的错误
+            let errorMessage = '初始化失败: ';
+            
+            if (this.source.type !== 'remote' && /not found|locally/i.test(error.message)) {
+                errorMessage += `模型文件不完整（当前精度 ${this.config.dtype} 需要对应的 ONNX 文件）：${error.message}`;
+            } else if (error.message.includes('Failed to fetch')) {
+                errorMessage += '无法下载模型，请检查网络连接，或改用本地模型文件';
+            } else if (error.name === 'TypeError') {
+                errorMessage += '浏览器版本过低，请使用最新版Chrome等现代浏览器';
+            } else {
+                errorMessage += error.message;
             }
+            
+            throw new Error(errorMessage);
         }
-        return this.instance;
     }
 }
 
-// 向量计算缓存
+// 持久化缓存的键参数：不同模型、精度与前缀的向量互不混用
+function getCacheOptions() {
+    const { dtype } = PipelineSingleton.config;
+    return { model: `${PipelineSingleton.modelPath}:${dtype}`, ...getEmbeddingOptions(PipelineSingleton.config) };
+}
+
+// 向量计算缓存（内存），持久化缓存见 embeddingCache.js
 const vectorCache = new Map();
 let lastTexts = null;
 let lastEmbeddings = null;
+let lastSourceIndices = null; // 上次聚类的文本在前端输入中的位置
+let lastWeights = null; // 上次聚类的文本权重（出现次数），全部为 1 时为 null
+let lastJobId = null; // 上次聚类的任务 ID，用于校验投影请求是否过期
 
-// 启动时就开始加载模型
-PipelineSingleton.getInstance(x => {
-    self.postMessage({
-        status: 'loading',
-        progress: x
-    });
-}).catch(error => {
-    self.postMessage({
-        status: 'error',
-        error: error.message
+// 正在运行的任务 { id, cancelled }，收到 cancel 或新任务时标记为取消
+let activeJob = null;
+
+// 检查点：任务已被取消时中止
+function checkCancelled(job) {
+    if (job.cancelled) {
+        throw new CancelledError();
+    }
+}
+
+// 加载当前模型，失败时通知前端
+function preloadModel() {
+    PipelineSingleton.getInstance().catch(error => {
+        self.postMessage({
+            status: 'error',
+            error: error.message
+        });
     });
-});
+}
+
+// 启动时就开始加载模型
+preloadModel();
+
+// 发送持久化缓存统计
+async function postCacheStats() {
+    try {
+        self.postMessage({
+            status: 'cache_stats',
+            stats: await getCacheStats()
+        });
+    } catch (error) {
+        console.log('Failed to read embedding cache stats:', error);
+    }
+}
+
+// 从持久化缓存中加载内存缓存里没有的文本向量
+async function loadPersistentCache(texts, cacheOptions) {
+    const missing = texts.filter(text => !vectorCache.has(text));
+    if (missing.length === 0) return;
+
+    try {
+        const keys = await Promise.all(missing.map(text => getCacheKey(text, cacheOptions)));
+        const found = await getCachedVectors(keys);
+        missing.forEach((text, i) => {
+            if (found.has(keys[i])) {
+                vectorCache.set(text, found.get(keys[i]));
+            }
+        });
+    } catch (error) {
+        console.log('Failed to read persistent embedding cache:', error);
+    }
+}
+
+// 将新计算的向量写入持久化缓存
+async function savePersistentCache(newVectors, cacheOptions) {
+    if (newVectors.length === 0) return;
 
-// 计算文本向量，使用缓存优化
-async function computeEmbeddings(texts, extractor) {
+    try {
+        const entries = await Promise.all(newVectors.map(async ({ text, vector }) => ({
+            key: await getCacheKey(text, cacheOptions),
+            vector
+        })));
+        await putCachedVectors(entries);
+    } catch (error) {
+        console.log('Failed to write persistent embedding cache:', error);
+    }
+}
+
+// 计算文本向量，使用缓存优化，未缓存的文本分批推理
+// 每个批次之间检查任务是否被取消
+async function computeEmbeddings(texts, extractor, batchSize, job) {
     const startTime = performance.now();
     const embeddings = [];
     const textToIndexMap = new Map();
+    const newVectors = [];
     
     // 创建唯一文本集合并建立映射
     const uniqueTexts = [...new Set(texts)];
@@ -104,20 +241,25 @@ async function computeEmbeddings(texts, extractor) {
         textToIndexMap.get(text).push(index);
     });
 
-    // 计算未缓存文本的向量
+    // 先从持久化缓存中取回之前会话计算过的向量
+    // 记录本次任务开始时的模型配置，中途切换模型时不会写错缓存
+    const config = PipelineSingleton.config;
+    const cacheOptions = getCacheOptions();
+    await loadPersistentCache(uniqueTexts, cacheOptions);
+
+    // 更新进度
     let processedCount = 0;
-    for (let i = 0; i < uniqueTexts.length; i++) {
-        const text = uniqueTexts[i];
-        const indices = textToIndexMap.get(text);
-        
-        // 更新进度
-        processedCount += indices.length;
+    const reportProgress = (batchTexts) => {
+        batchTexts.forEach(text => {
+            processedCount += textToIndexMap.get(text).length;
+        });
         const currentTime = performance.now();
         const elapsedSeconds = ((currentTime - startTime) / 1000).toFixed(1);
         const speed = (processedCount / (currentTime - startTime) * 1000).toFixed(1);
 
         self.postMessage({
             status: 'computing',
+            jobId: job.id,
             progress: {
                 current: processedCount,
                 total: texts.length,
@@ -125,49 +267,110 @@ async function computeEmbeddings(texts, extractor) {
                 speed
             }
         });
+    };
 
-        // 如果缓存中存在，直接使用缓存
-        if (vectorCache.has(text)) {
-            const cachedVector = vectorCache.get(text);
-            indices.forEach(index => {
-                embeddings[index] = cachedVector;
-            });
-            continue;
-        }
+    // 填充所有相同文本的位置
+    const fillEmbeddings = (text, vector) => {
+        textToIndexMap.get(text).forEach(index => {
+            embeddings[index] = vector;
+        });
+    };
+
+    // 缓存中存在的文本直接使用缓存
+    const cachedTexts = uniqueTexts.filter(text => vectorCache.has(text));
+    cachedTexts.forEach(text => fillEmbeddings(text, vectorCache.get(text)));
+    if (cachedTexts.length > 0) {
+        reportProgress(cachedTexts);
+    }
+
+    // 未缓存的文本按长度排序后分批计算
+    const pendingTexts = orderForBatching(uniqueTexts.filter(text => !vectorCache.has(text)));
+
+    for (let i = 0; i < pendingTexts.length; i += batchSize) {
+        checkCancelled(job);
+        const batch = pendingTexts.slice(i, i + batchSize);
 
         try {
-            // 计算新向量
-            const output = await extractor(text, {
-                pooling: 'mean',
-                normalize: true,
-            });
-            const vector = Array.from(output.data);
-            
-            // 保存到缓存
-            vectorCache.set(text, vector);
-            
-            // 填充所有相同文本的位置
-            indices.forEach(index => {
-                embeddings[index] = vector;
+            const vectors = await embedBatch(extractor, batch, config);
+
+            batch.forEach((text, j) => {
+                const vector = vectors[j];
+
+                // 保存到缓存
+                if (PipelineSingleton.config === config) vectorCache.set(text, vector);
+                newVectors.push({ text, vector });
+                fillEmbeddings(text, vector);
             });
         } catch (error) {
             throw new Error(`处理文本时出错: ${error.message}`);
         }
+
+        reportProgress(batch);
     }
 
+    // 被取消时已计算的向量仍写入缓存，下次无需重复计算
+    await savePersistentCache(newVectors, cacheOptions);
+    checkCancelled(job);
+
     return {
         embeddings,
         vectorizationTime: performance.now() - startTime
     };
 }
 
+// 输入位置 → 上次聚类中的位置（lastTexts / lastEmbeddings 的下标）
+function createPositionLookup() {
+    const positionOf = new Map(lastSourceIndices.map((sourceIndex, i) => [sourceIndex, i]));
+    return indices => indices.map(index => {
+        if (!positionOf.has(index)) throw new Error(`未知的文本位置: ${index}`);
+        return positionOf.get(index);
+    });
+}
+
+// 描述一个簇的子簇：标签、关键词与统计只在子簇之间比较，簇内不属于任何子簇的文本作为子簇的噪声
+// 子簇保持给定的顺序，编号（如 3.1、3.2）在调整后保持稳定
+function describeSubclusters(cluster, toLocal) {
+    const grouped = new Set(cluster.subclusters.flat());
+    const { results, noise, noiseIndices, noiseWeights } = describeClusters(
+        cluster.subclusters.map(toLocal),
+        toLocal(cluster.indices.filter(index => !grouped.has(index))),
+        lastTexts, lastEmbeddings, lastSourceIndices, { sort: false, weights: lastWeights }
+    );
+    return { results, noise, noiseIndices, noiseWeights };
+}
+
 // 监听主线程消息
 self.addEventListener('message', async (event) => {
-    const { type, data } = event.data;
+    const { type, data, version } = event.data;
+
+    if (version !== undefined && version !== PROTOCOL_VERSION) {
+        self.postMessage({
+            status: 'error',
+            request: type,
+            jobId: data?.jobId,
+            error: `不支持的协议版本: ${version}（当前为 ${PROTOCOL_VERSION}）`
+        });
+        return;
+    }
 
     if (type === 'compute_embeddings') {
+        // 新任务开始时取消仍在运行的旧任务
+        if (activeJob) activeJob.cancelled = true;
+        const job = { id: data.jobId ?? null, cancelled: false };
+        activeJob = job;
+
         try {
-            const texts = data.texts.filter(text => text.trim() !== '');
+            // 预处理并过滤文本，同时记录每条文本在原始输入中的位置，便于前端关联原文与元数据
+            // 之后的向量、缓存与标签都基于处理后的文本
+            const { texts, sourceIndices, weights: textWeights, dropped } = preprocessTexts(data.texts, data.preprocess, data.weights);
+            if (texts.length === 0) {
+                throw new Error('预处理后没有剩余文本，请检查过滤条件');
+            }
+            if (!['duplicates', 'classify'].includes(data.mode)) {
+                checkPointLimit(data.algorithm || DEFAULT_ALGORITHM, texts.length);
+            }
+            // 权重来自前端的次数列或合并重复文本，全部为 1 时按未加权处理
+            const weights = textWeights.some(weight => weight !== 1) ? textWeights : null;
             const startTime = performance.now();
             
             // 检查是否只需要重新聚类
@@ -185,6 +388,7 @@ self.addEventListener('message', async (event) => {
                 // 发送跳过计算的通知
                 self.postMessage({
                     status: 'computing',
+                    jobId: job.id,
                     progress: {
                         current: texts.length,
                         total: texts.length,
@@ -195,61 +399,465 @@ self.addEventListener('message', async (event) => {
             } else {
                 // 文本有变化，需要计算向量
                 const extractor = await PipelineSingleton.getInstance();
-                const result = await computeEmbeddings(texts, extractor);
+                const batchSize = clampBatchSize(data.batchSize);
+                checkCancelled(job);
+                const result = await computeEmbeddings(texts, extractor, batchSize, job);
                 embeddings = result.embeddings;
                 vectorizationTime = result.vectorizationTime;
                 
                 // 保存本次结果
                 lastTexts = [...texts];
                 lastEmbeddings = [...embeddings];
+                postCacheStats();
             }
 
+            lastSourceIndices = sourceIndices;
+            lastWeights = weights;
+            lastJobId = job.id;
+
             // 发送开始聚类的状态
             self.postMessage({
-                status: 'clustering'
+                status: 'clustering',
+                jobId: job.id
             });
 
-            // 将距离阈值转换为相似度阈值
-            // epsilon 原来是距离阈值 [0,1]，现在需要转换为相似度阈值 [-1,1]
-            // 例如：如果原来的距离阈值是 0.3，那么相似度阈值应该是 0.7
-            const similarityThreshold = 1 - data.epsilon;
+            // 本次运行的参数与模型，随导出文件一起保存
+            const run = {
+                mode: ['duplicates', 'classify'].includes(data.mode) ? data.mode : 'cluster',
+                batchSize: clampBatchSize(data.batchSize),
+                preprocess: { ...getDefaultPreprocess(), ...data.preprocess },
+                model: PipelineSingleton.model,
+                dtype: PipelineSingleton.config.dtype,
+                source: PipelineSingleton.source.type,
+                device: PipelineSingleton.device
+            };
+            const onProgress = (current, total) => {
+                checkCancelled(job);
+                self.postMessage({
+                    status: 'clustering',
+                    jobId: job.id,
+                    progress: { current, total }
+                });
+            };
+            const getPerformance = () => {
+                const clusteringTime = performance.now() - startTime - vectorizationTime;
+                const totalTime = vectorizationTime + clusteringTime;
+                return {
+                    vectorizationTime: (vectorizationTime / 1000).toFixed(1),
+                    clusteringTime: (clusteringTime / 1000).toFixed(1),
+                    totalTime: (totalTime / 1000).toFixed(1),
+                    averageSpeed: vectorizationTime === 0 ? '∞' : (texts.length / (vectorizationTime / 1000)).toFixed(1)
+                };
+            };
+
+            if (run.mode === 'duplicates') {
+                // 近似重复检测，与聚类共用邻域计算
+                const params = { ...getDefaultDuplicateParams(), ...data.params };
+                const groups = await findDuplicates(embeddings, texts, params, { useGPU: PipelineSingleton.useGPU, onProgress });
+                checkCancelled(job);
 
-            // 执行聚类，使用 WebGPU（如果支持）
-            const { clusters, noise } = await dbscan(embeddings, similarityThreshold, data.minPts, PipelineSingleton.useGPU);
-            const clusteringTime = performance.now() - startTime - vectorizationTime;
+                self.postMessage({
+                    status: 'complete',
+                    jobId: job.id,
+                    mode: 'duplicates',
+                    ...describeDuplicates(groups, texts, sourceIndices),
+                    dropped,
+                    run: { ...run, params },
+                    performance: getPerformance()
+                });
+                return;
+            }
 
-            // 将聚类结果与原文本对应
-            const results = clusters.map(cluster => ({
-                size: cluster.length,
-                texts: cluster.map(index => texts[index])
-            }));
+            if (run.mode === 'classify') {
+                // 归入冻结的簇，簇的顺序与名称沿用冻结时的结果
+                const classifier = data.classifier;
+                if (!classifier?.clusters?.length) {
+                    throw new Error('没有可用的冻结簇');
+                }
+                if (classifier.model && classifier.model !== PipelineSingleton.model) {
+                    throw new Error(`簇文件使用模型 ${classifier.model} 生成，请切换到该模型后再归类`);
+                }
+                if (classifier.dim !== embeddings[0].length) {
+                    throw new Error(`簇文件的向量维度 ${classifier.dim} 与当前模型（${embeddings[0].length}）不一致`);
+                }
+                const params = { ...getDefaultClassifyParams(), ...data.params };
+                const { clusters, frozenIds, noise } = await classifyTexts(embeddings, classifier.clusters, params, {
+                    useGPU: PipelineSingleton.useGPU,
+                    onProgress,
+                    weights
+                });
+                checkCancelled(job);
 
-            // 按cluster大小降序排序
-            results.sort((a, b) => b.size - a.size);
+                const described = describeClusters(clusters, noise, texts, embeddings, sourceIndices, { sort: false, weights });
+                described.results.forEach((cluster, i) => {
+                    cluster.frozenId = frozenIds[i];
+                    cluster.name = frozenIds[i] === null ? null : classifier.clusters[frozenIds[i] - 1].name;
+                });
+                self.postMessage({
+                    status: 'complete',
+                    jobId: job.id,
+                    mode: 'classify',
+                    ...described,
+                    dropped,
+                    run: { ...run, params, classifier: classifier.name ?? '' },
+                    performance: getPerformance()
+                });
+                return;
+            }
 
-            // 获取噪声点
-            const noiseTexts = noise.map(index => texts[index]);
+            // 执行聚类，使用 WebGPU（如果支持）
+            // 未指定算法时兼容旧消息格式：DBSCAN + epsilon/minPts
+            const algorithm = data.algorithm || DEFAULT_ALGORITHM;
+            const params = data.params || { epsilon: data.epsilon, minPts: data.minPts };
+            const { clusters, noise, roles } = await runClustering(embeddings, algorithm, params, {
+                useGPU: PipelineSingleton.useGPU,
+                onProgress,
+                weights
+            });
+            checkCancelled(job);
 
-            // 计算总耗时
-            const totalTime = vectorizationTime + clusteringTime;
+            const { results, noise: noiseTexts, noiseIndices, noiseWeights, coreIndices, quality } = describeClusters(
+                clusters, noise, texts, embeddings, sourceIndices, { sort: true, roles, weights }
+            );
 
             // 发送结果回主线程
             self.postMessage({
                 status: 'complete',
+                jobId: job.id,
+                mode: 'cluster',
                 results,
                 noise: noiseTexts,
-                performance: {
-                    vectorizationTime: (vectorizationTime / 1000).toFixed(1),
-                    clusteringTime: (clusteringTime / 1000).toFixed(1),
-                    totalTime: (totalTime / 1000).toFixed(1),
-                    averageSpeed: vectorizationTime === 0 ? '∞' : (texts.length / (vectorizationTime / 1000)).toFixed(1)
+                noiseIndices,
+                noiseWeights,
+                coreIndices,
+                dropped,
+                quality,
+                run: {
+                    ...run,
+                    algorithm,
+                    params: {
+                        ...getDefaultParams()[algorithm],
+                        ...Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined))
+                    }
+                },
+                performance: getPerformance()
+            });
+        } catch (error) {
+            if (error instanceof CancelledError) {
+                self.postMessage({
+                    status: 'cancelled',
+                    jobId: job.id
+                });
+            } else {
+                self.postMessage({
+                    status: 'error',
+                    jobId: job.id,
+                    error: error.message
+                });
+            }
+        } finally {
+            if (activeJob === job) activeJob = null;
+        }
+    } else if (type === 'cancel') {
+        // 未指定 jobId 时取消当前任务
+        if (activeJob && (data?.jobId === undefined || data.jobId === activeJob.id)) {
+            activeJob.cancelled = true;
+        }
+    } else if (type === 'project') {
+        // 将上次聚类使用的向量投影到二维
+        try {
+            if (!lastEmbeddings) {
+                throw new Error('没有可用的向量，请先执行聚类');
+            }
+            if (data.jobId !== undefined && data.jobId !== lastJobId) {
+                throw new Error('向量已随新的聚类任务变化，请重新聚类后再生成散点图');
+            }
+            const { method, coordinates } = project(lastEmbeddings, data.method, {
+                onProgress: (current, total) => {
+                    self.postMessage({
+                        status: 'projecting',
+                        progress: { current, total }
+                    });
+                }
+            });
+            self.postMessage({
+                status: 'projection',
+                method,
+                jobId: lastJobId,
+                coordinates,
+                indices: lastSourceIndices
+            });
+        } catch (error) {
+            self.postMessage({
+                status: 'error',
+                request: 'project',
+                error: `降维投影失败: ${error.message}`
+            });
+        }
+    } else if (type === 'restat') {
+        // 手动调整后按新的归属重新计算标签与统计，簇的顺序保持不变
+        try {
+            if (!lastEmbeddings) {
+                throw new Error('没有可用的向量，请重新聚类');
+            }
+            if (data.jobId !== undefined && data.jobId !== lastJobId) {
+                throw new Error('向量已随新的聚类任务变化，请重新聚类');
+            }
+            const toLocal = createPositionLookup();
+            const clusters = data.clusters.map(cluster => toLocal(cluster.indices));
+            const described = describeClusters(
+                clusters, toLocal(data.noiseIndices), lastTexts, lastEmbeddings, lastSourceIndices, { sort: false, weights: lastWeights }
+            );
+            described.results.forEach((cluster, i) => {
+                cluster.name = data.clusters[i].name ?? null;
+                cluster.frozenId = data.clusters[i].frozenId ?? null;
+                cluster.subclusters = data.clusters[i].subclusters
+                    ? describeSubclusters(data.clusters[i], toLocal)
+                    : null;
+            });
+            self.postMessage({
+                status: 'restat_result',
+                jobId: lastJobId,
+                revision: data.revision,
+                ...described
+            });
+        } catch (error) {
+            self.postMessage({
+                status: 'error',
+                request: 'restat',
+                error: `更新聚类结果失败: ${error.message}`
+            });
+        }
+    } else if (type === 'freeze') {
+        // 冻结当前（手动调整后的）聚类结果：计算各簇质心并选出代表文本
+        try {
+            if (!lastEmbeddings) {
+                throw new Error('没有可用的向量，请重新聚类');
+            }
+            if (data.jobId !== undefined && data.jobId !== lastJobId) {
+                throw new Error('向量已随新的聚类任务变化，请重新聚类');
+            }
+            const toLocal = createPositionLookup();
+            const clusters = data.clusters.map(cluster => toLocal(cluster.indices));
+            self.postMessage({
+                status: 'frozen',
+                jobId: lastJobId,
+                model: PipelineSingleton.model,
+                dtype: PipelineSingleton.config.dtype,
+                clusters: freezeClusters(clusters, data.clusters.map(cluster => cluster.name), lastEmbeddings, lastTexts)
+            });
+        } catch (error) {
+            self.postMessage({
+                status: 'error',
+                request: 'freeze',
+                error: `冻结聚类结果失败: ${error.message}`
+            });
+        }
+    } else if (type === 'get_embeddings') {
+        // 导出上次聚类使用的向量，按行打包为 Float32Array 并转移所有权
+        if (!lastEmbeddings || (data?.jobId !== undefined && data.jobId !== lastJobId)) {
+            self.postMessage({
+                status: 'error',
+                request: 'get_embeddings',
+                error: '向量已随新的聚类任务变化，请重新聚类后再导出'
+            });
+            return;
+        }
+        const dim = lastEmbeddings[0]?.length ?? 0;
+        const packed = new Float32Array(lastEmbeddings.length * dim);
+        lastEmbeddings.forEach((vector, i) => packed.set(vector, i * dim));
+        self.postMessage({
+            status: 'embeddings',
+            jobId: lastJobId,
+            data: packed,
+            dim,
+            indices: lastSourceIndices
+        }, [packed.buffer]);
+    } else if (type === 'tune') {
+        // 基于上次聚类的向量给出 DBSCAN 参数建议，不重新计算向量
+        try {
+            if (!lastEmbeddings) {
+                throw new Error('没有可用的向量，请先执行聚类');
+            }
+            if (data.jobId !== undefined && data.jobId !== lastJobId) {
+                throw new Error('向量已随新的聚类任务变化，请重新聚类后再试');
+            }
+            const jobId = lastJobId;
+            const minPts = Math.max(1, parseInt(data.minPts) || 2);
+            const result = await suggestEpsilon(lastEmbeddings, minPts, {
+                useGPU: PipelineSingleton.useGPU,
+                weights: lastWeights,
+                onProgress: (stage, current, total) => {
+                    self.postMessage({
+                        status: 'tuning',
+                        jobId,
+                        progress: { stage, current, total }
+                    });
                 }
             });
+            self.postMessage({
+                status: 'tune_result',
+                jobId,
+                ...result
+            });
+        } catch (error) {
+            self.postMessage({
+                status: 'error',
+                request: 'tune',
+                error: `参数建议失败: ${error.message}`
+            });
+        }
+    } else if (type === 'subcluster') {
+        // 细分一个簇：只对该簇的文本用给定的算法与参数重新聚类，返回按大小降序的子簇（输入中的位置）
+        try {
+            if (!lastEmbeddings) {
+                throw new Error('没有可用的向量，请重新聚类');
+            }
+            if (data.jobId !== undefined && data.jobId !== lastJobId) {
+                throw new Error('向量已随新的聚类任务变化，请重新聚类');
+            }
+            const jobId = lastJobId;
+            const sourceIndices = lastSourceIndices;
+            const local = createPositionLookup()(data.indices);
+            const weights = lastWeights && local.map(i => lastWeights[i]);
+            const { clusters } = await runClustering(local.map(i => lastEmbeddings[i]), data.algorithm, data.params, {
+                useGPU: PipelineSingleton.useGPU,
+                weights
+            });
+            // 细分期间开始了新的聚类，结果已过期
+            if (jobId !== lastJobId) return;
+
+            const sizeOf = cluster => (weights ? cluster.reduce((sum, i) => sum + weights[i], 0) : cluster.length);
+            self.postMessage({
+                status: 'subcluster_result',
+                jobId,
+                clusters: clusters
+                    .sort((a, b) => sizeOf(b) - sizeOf(a))
+                    .map(cluster => cluster.map(i => sourceIndices[local[i]]))
+            });
+        } catch (error) {
+            self.postMessage({
+                status: 'error',
+                request: 'subcluster',
+                error: `细分簇失败: ${error.message}`
+            });
+        }
+    } else if (type === 'search') {
+        // 语义检索：用模型的检索前缀计算查询向量，在上次聚类的向量中排序
+        try {
+            if (!lastEmbeddings) {
+                throw new Error('没有可用的向量，请先执行聚类');
+            }
+            if (data.jobId !== undefined && data.jobId !== lastJobId) {
+                throw new Error('向量已随新的聚类任务变化，请重新聚类后再试');
+            }
+            const query = (data.query || '').trim();
+            if (query === '') {
+                throw new Error('查询内容为空');
+            }
+            const jobId = lastJobId;
+            const sourceIndices = lastSourceIndices;
+            const extractor = await PipelineSingleton.getInstance();
+            const output = await extractor([PipelineSingleton.config.queryPrefix + query], getEmbeddingOptions(PipelineSingleton.config));
+            const [vector] = output.tolist();
+            // 计算查询向量期间开始了新的聚类，结果已过期
+            if (jobId !== lastJobId) return;
+
+            const matches = searchNearest(lastEmbeddings, vector, parseInt(data.topK) || DEFAULT_TOP_K);
+            self.postMessage({
+                status: 'search_result',
+                jobId,
+                query: data.query,
+                matches: matches.map(({ index, score }) => ({ index: sourceIndices[index], score }))
+            });
+        } catch (error) {
+            self.postMessage({
+                status: 'error',
+                request: 'search',
+                error: `检索失败: ${error.message}`
+            });
+        }
+    } else if (type === 'load_model') {
+        // 切换模型：取消正在运行的任务，清空与旧模型相关的内存状态
+        // 未指定 source 时沿用当前来源；本地来源需附带用户选择的文件
+        let source = PipelineSingleton.source;
+        if (data.source === 'local') {
+            try {
+                source = { type: 'local', name: data.name || 'model', files: await readModelFiles(data.files || []) };
+            } catch (error) {
+                self.postMessage({
+                    status: 'error',
+                    request: 'load_model',
+                    error: `读取本地模型失败: ${error.message}`
+                });
+                return;
+            }
+        } else if (data.source === 'server' && !SERVER_MODEL_PATH) {
+            self.postMessage({
+                status: 'error',
+                request: 'load_model',
+                error: '未配置模型目录（NEXT_PUBLIC_MODEL_PATH），无法从部署服务器加载模型'
+            });
+            return;
+        } else if (data.source) {
+            source = { type: data.source, name: '', files: null };
+        }
+        if (activeJob) activeJob.cancelled = true;
+        const changed = await PipelineSingleton.setModel(data.model, data.dtype, source);
+        if (changed) {
+            vectorCache.clear();
+            lastTexts = null;
+            lastEmbeddings = null;
+            lastSourceIndices = null;
+            lastWeights = null;
+            lastJobId = null;
+        }
+        preloadModel();
+    } else if (type === 'restore_session') {
+        // 打开项目：切换到项目使用的模型，并载入项目中保存的向量，之后文本不变时重新聚类无需重新计算向量
+        if (activeJob) activeJob.cancelled = true;
+        const changed = await PipelineSingleton.setModel(data.model, data.dtype);
+        if (changed) {
+            vectorCache.clear();
+            preloadModel();
+        }
+        lastTexts = null;
+        lastEmbeddings = null;
+        lastSourceIndices = null;
+        lastWeights = null;
+        lastJobId = null;
+
+        const { embeddings } = data;
+        if (embeddings) {
+            const { dim, indices } = embeddings;
+            const vectors = indices.map((_, i) => Array.from(embeddings.data.subarray(i * dim, (i + 1) * dim)));
+            lastTexts = [...data.texts];
+            lastEmbeddings = vectors;
+            lastSourceIndices = indices;
+            lastWeights = data.weights ?? null;
+            lastJobId = data.jobId ?? null;
+            data.texts.forEach((text, i) => vectorCache.set(text, vectors[i]));
+        }
+        self.postMessage({
+            status: 'restored',
+            jobId: data.jobId,
+            hasEmbeddings: !!embeddings
+        });
+    } else if (type === 'get_cache_stats') {
+        await postCacheStats();
+    } else if (type === 'clear_cache') {
+        try {
+            await clearCache();
+            vectorCache.clear();
+            lastTexts = null;
+            lastEmbeddings = null;
         } catch (error) {
             self.postMessage({
                 status: 'error',
-                error: error.message
+                request: 'clear_cache',
+                error: `清除缓存失败: ${error.message}`
             });
         }
+        await postCacheStats();
     }
 });
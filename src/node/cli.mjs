@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename, extname } from 'node:path';
+import { parseArgs } from 'node:util';
+import * as XLSX from 'xlsx';
+import {
+    ALGORITHMS, DEFAULT_ALGORITHM, DEFAULT_MODEL, MODELS, DEFAULT_BATCH_SIZE, clampBatchSize,
+    loadModel, clusterTexts, parseFile, guessTextColumn, buildRecords,
+    buildRunInfo, buildTextRows, buildWorkbook, buildJsonResult, toCsv, evaluateClustering
+} from './index.mjs';
+
+// 命令行聚类：输入文件 → 聚类结果（CSV / JSON / XLSX），输出格式与网页导出相同
+
+const USAGE = `用法: npm run cluster -- <输入文件> -o <输出文件> --model-path <模型目录> [选项]
+
+输入文件: .txt（每行一条）、.csv、.tsv、.xlsx、.xls
+输出文件: .csv（文本与所属簇）、.json（完整结果）、.xlsx（多工作表）
+
+选项:
+  -o, --output <文件>        输出文件，格式由扩展名决定
+  --model-path <目录>        本地模型目录，或按模型 ID 存放模型的根目录
+  --model <ID>               模型，决定池化方式与前缀（默认 ${DEFAULT_MODEL}）
+                             可选: ${Object.keys(MODELS).join(', ')}
+  --dtype <类型>             模型精度，默认使用模型的推荐精度
+  --algorithm <算法>         聚类算法（默认 ${DEFAULT_ALGORITHM}）
+                             可选: ${Object.keys(ALGORITHMS).join(', ')}
+  --epsilon <数值>           DBSCAN 的 Epsilon
+  --min-pts <数值>           DBSCAN 的 MinPts
+  --param <键=值>            其他算法参数，可重复，例如 --param k=8
+  --text-column <列名>       文本列，默认取平均长度最长的列
+  --weight-column <列名>     权重列（出现次数），计入 DBSCAN 密度与簇的加权大小
+  --label-column <列名>      人工标注列，输出中附带与标注对比的评估指标
+  --batch-size <数值>        向量计算的批大小（默认 ${DEFAULT_BATCH_SIZE}）
+  --preprocess <JSON>        预处理选项，例如 '{"stripUrls":true,"minLength":4}'
+  -h, --help                 显示帮助`;
+
+const OUTPUT_FORMATS = ['.csv', '.json', '.xlsx'];
+
+// 参数值按算法参数定义的类型转换
+function parseParamValue(algorithm, key, value) {
+    const param = ALGORITHMS[algorithm].params.find(item => item.key === key);
+    if (!param) {
+        throw new Error(`算法 ${algorithm} 没有参数 ${key}`);
+    }
+    if (param.type !== 'number') return value;
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        throw new Error(`参数 ${key} 需要数值: ${value}`);
+    }
+    return number;
+}
+
+function parseOptions(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            output: { type: 'string', short: 'o' },
+            'model-path': { type: 'string' },
+            model: { type: 'string', default: DEFAULT_MODEL },
+            dtype: { type: 'string' },
+            algorithm: { type: 'string', default: DEFAULT_ALGORITHM },
+            epsilon: { type: 'string' },
+            'min-pts': { type: 'string' },
+            param: { type: 'string', multiple: true, default: [] },
+            'text-column': { type: 'string' },
+            'weight-column': { type: 'string' },
+            'label-column': { type: 'string' },
+            'batch-size': { type: 'string', default: String(DEFAULT_BATCH_SIZE) },
+            preprocess: { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+    if (values.help) return null;
+
+    if (positionals.length !== 1) {
+        throw new Error('需要且只能指定一个输入文件');
+    }
+    if (!values.output) {
+        throw new Error('需要用 -o 指定输出文件');
+    }
+    if (!OUTPUT_FORMATS.includes(extname(values.output).toLowerCase())) {
+        throw new Error(`不支持的输出格式: ${values.output}（可选 ${OUTPUT_FORMATS.join('、')}）`);
+    }
+    if (!values['model-path']) {
+        throw new Error('需要用 --model-path 指定本地模型目录');
+    }
+    if (!ALGORITHMS[values.algorithm]) {
+        throw new Error(`未知的聚类算法: ${values.algorithm}`);
+    }
+
+    const params = {};
+    if (values.epsilon !== undefined) params.epsilon = parseParamValue(values.algorithm, 'epsilon', values.epsilon);
+    if (values['min-pts'] !== undefined) params.minPts = parseParamValue(values.algorithm, 'minPts', values['min-pts']);
+    for (const entry of values.param) {
+        const separator = entry.indexOf('=');
+        if (separator === -1) {
+            throw new Error(`参数格式应为 键=值: ${entry}`);
+        }
+        const key = entry.slice(0, separator);
+        params[key] = parseParamValue(values.algorithm, key, entry.slice(separator + 1));
+    }
+
+    if (!(parseInt(values['batch-size']) > 0)) {
+        throw new Error(`批大小需要正整数: ${values['batch-size']}`);
+    }
+    // 与网页相同，超过上限时取上限
+    const batchSize = clampBatchSize(values['batch-size']);
+
+    let preprocess = {};
+    if (values.preprocess) {
+        try {
+            preprocess = JSON.parse(values.preprocess);
+        } catch (error) {
+            throw new Error(`预处理选项不是有效的 JSON: ${error.message}`);
+        }
+    }
+
+    return {
+        input: positionals[0],
+        output: values.output,
+        modelPath: values['model-path'],
+        model: values.model,
+        dtype: values.dtype,
+        algorithm: values.algorithm,
+        params,
+        textColumn: values['text-column'],
+        weightColumn: values['weight-column'],
+        labelColumn: values['label-column'],
+        batchSize,
+        preprocess
+    };
+}
+
+// 按列名查找可选的列，未指定时为 -1；excluded 为已被其他用途占用的列
+function findColumn(headers, name, kind, excluded) {
+    if (name === undefined) return -1;
+    const column = headers.indexOf(name);
+    if (column === -1 || excluded.includes(column)) {
+        throw new Error(`找不到${kind} ${name}，可选: ${headers.filter((_, col) => !excluded.includes(col)).join(', ')}`);
+    }
+    return column;
+}
+
+// 读取输入文件，返回 [{ text, meta }]，指定权重列与标注列时另带 weight 与 label
+async function readRecords(path, { textColumn, weightColumn, labelColumn }) {
+    const buffer = await readFile(path);
+    const { headers, rows } = await parseFile(new File([buffer], basename(path)));
+    if (rows.length === 0) {
+        throw new Error(`文件中没有数据: ${path}`);
+    }
+    let column = guessTextColumn(headers, rows);
+    if (textColumn !== undefined) {
+        column = headers.indexOf(textColumn);
+        if (column === -1) {
+            throw new Error(`找不到文本列 ${textColumn}，可选: ${headers.join(', ')}`);
+        }
+    }
+    const weightIndex = findColumn(headers, weightColumn, '权重列', [column]);
+    const labelIndex = findColumn(headers, labelColumn, '标注列', [column, weightIndex]);
+    return buildRecords(headers, rows, column, { weightColumn: weightIndex, labelColumn: labelIndex });
+}
+
+async function writeResults(path, results) {
+    const runInfo = buildRunInfo(results);
+    const extension = extname(path).toLowerCase();
+    if (extension === '.csv') {
+        await writeFile(path, toCsv(buildTextRows(results)));
+    } else if (extension === '.json') {
+        await writeFile(path, JSON.stringify(buildJsonResult(results, runInfo), null, 2));
+    } else {
+        await writeFile(path, XLSX.write(buildWorkbook(results, runInfo), { type: 'buffer', bookType: 'xlsx' }));
+    }
+}
+
+// 进度输出到 stderr，同一阶段原地刷新
+function createProgressReporter() {
+    const interactive = process.stderr.isTTY;
+    return (stage, current, total) => {
+        const line = `${stage === 'embedding' ? '计算向量' : '聚类'} ${current}/${total}`;
+        if (current === total) {
+            process.stderr.write(`${interactive ? '\r' : ''}${line}\n`);
+        } else if (interactive) {
+            process.stderr.write(`\r${line}`);
+        }
+    };
+}
+
+async function main() {
+    const options = parseOptions(process.argv.slice(2));
+    if (!options) {
+        console.log(USAGE);
+        return;
+    }
+
+    const records = await readRecords(options.input, options);
+    console.error(`读取 ${records.length} 条文本`);
+
+    const model = await loadModel({ modelPath: options.modelPath, model: options.model, dtype: options.dtype });
+    const results = await clusterTexts(model, records, {
+        algorithm: options.algorithm,
+        params: options.params,
+        preprocess: options.preprocess,
+        batchSize: options.batchSize,
+        onProgress: createProgressReporter()
+    });
+
+    await writeResults(options.output, results);
+    console.error(
+        `${results.results.length} 个簇，${results.noise.length} 条噪声` +
+        (results.dropped.length > 0 ? `，${results.dropped.length} 条被过滤` : '') +
+        `，耗时 ${results.performance.totalTime} 秒，已写入 ${options.output}`
+    );
+    const evaluation = evaluateClustering(results);
+    if (evaluation) {
+        console.error(
+            `标注评估（${evaluation.evaluated} 条）: ` +
+            ['purity', 'homogeneity', 'completeness', 'vMeasure', 'ari', 'nmi'].map(key => `${key} ${evaluation[key].toFixed(3)}`).join('，')
+        );
+    }
+}
+
+main().catch(error => {
+    console.error(`错误: ${error.message}`);
+    console.error(USAGE.split('\n')[0]);
+    process.exitCode = 1;
+});
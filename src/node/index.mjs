@@ -0,0 +1,129 @@
+import { existsSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { basename, dirname, join, resolve, sep } from 'node:path';
+import { pipeline, env } from '@huggingface/transformers';
+import { runClustering, checkPointLimit, getDefaultParams, DEFAULT_ALGORITHM } from '../app/clustering.js';
+import { preprocessTexts, getDefaultPreprocess } from '../app/preprocess.js';
+import { describeClusters } from '../app/describe.js';
+import { DEFAULT_BATCH_SIZE, embedTexts } from '../app/embedding.js';
+import { DEFAULT_MODEL, resolveModelConfig } from '../app/models.js';
+
+// Node 入口：与网页相同的预处理、向量计算、聚类与簇描述，用于批处理任务
+// 模型只从本地目录加载，不访问 huggingface.co
+
+export { ALGORITHMS, DEFAULT_ALGORITHM, getDefaultParams } from '../app/clustering.js';
+export { MODELS, DEFAULT_MODEL } from '../app/models.js';
+export { getDefaultPreprocess } from '../app/preprocess.js';
+export { DEFAULT_BATCH_SIZE, clampBatchSize } from '../app/embedding.js';
+export { parseFile, guessTextColumn, buildRecords } from '../app/fileImport.js';
+export { buildRunInfo, buildTextRows, buildSummaryRows, buildStatsRows, buildEvaluationRows, buildWorkbook, buildJsonResult, toCsv } from '../app/exportResults.js';
+export { evaluateClustering } from '../app/evaluation.js';
+
+// 当前版本的 transformers.js 在 Node 构建中没有打包 fs，无法直接读取本地文件；
+// 借助自定义缓存接口，从磁盘返回模型文件
+const localFileCache = {
+    async match(path) {
+        try {
+            return new Response(await readFile(path));
+        } catch {
+            return undefined;
+        }
+    },
+    async put() {}
+};
+
+// 加载本地模型
+// modelPath 为模型文件所在的目录（含 config.json、tokenizer.json 与 onnx/），
+// 或按模型 ID 存放模型的根目录（与网页的 NEXT_PUBLIC_MODEL_PATH 相同，例如 models/Xenova/bge-small-zh-v1.5/）
+// model 决定池化方式与前缀，见 src/app/models.js；返回 { extractor, config, device }
+export async function loadModel({ modelPath, model = DEFAULT_MODEL, dtype, onProgress = null } = {}) {
+    if (!modelPath) {
+        throw new Error('需要指定本地模型目录');
+    }
+    const config = resolveModelConfig(model, dtype);
+    const directory = resolve(modelPath);
+    const isModelDirectory = existsSync(join(directory, 'config.json'));
+    const root = isModelDirectory ? dirname(directory) : directory;
+    const name = isModelDirectory ? basename(directory) : config.id;
+    if (!existsSync(join(root, name, 'config.json'))) {
+        throw new Error(`找不到模型文件: ${join(root, name)}`);
+    }
+
+    env.allowRemoteModels = false;
+    env.allowLocalModels = true;
+    env.localModelPath = root + sep;
+    env.useCustomCache = true;
+    env.customCache = localFileCache;
+
+    const extractor = await pipeline('feature-extraction', name, {
+        dtype: config.dtype,
+        progress_callback: onProgress ?? undefined,
+        session_options: { logSeverityLevel: 3 }
+    });
+    // 超过 maxTokens 的文本由分词器截断
+    extractor.tokenizer.model_max_length = config.maxTokens;
+    return { extractor, config, device: 'cpu' };
+}
+
+// 聚类一组文本，结果格式与网页 worker 的 complete 消息相同，另附 records 以便导出
+// records 为字符串或 { text, meta, weight, label }，weight 为出现次数（缺省为 1），label 为人工标注（用于评估）；onProgress(stage, current, total)，stage 为 embedding 或 clustering
+export async function clusterTexts(model, records, {
+    algorithm = DEFAULT_ALGORITHM,
+    params = {},
+    preprocess = {},
+    batchSize = DEFAULT_BATCH_SIZE,
+    onProgress = null
+} = {}) {
+    const normalizedRecords = records.map(record => (typeof record === 'string' ? { text: record, meta: {} } : record));
+    const { texts, sourceIndices, weights: textWeights, dropped } = preprocessTexts(
+        normalizedRecords.map(record => record.text),
+        preprocess,
+        normalizedRecords.map(record => record.weight ?? 1)
+    );
+    // 与 worker 相同：全部为 1 时按未加权处理
+    const weights = textWeights.some(weight => weight !== 1) ? textWeights : null;
+    if (texts.length === 0) {
+        throw new Error('预处理后没有剩余文本，请检查过滤条件');
+    }
+    checkPointLimit(algorithm, texts.length);
+
+    const startTime = performance.now();
+    const embeddings = await embedTexts(model.extractor, texts, model.config, {
+        batchSize,
+        onProgress: onProgress && ((current, total) => onProgress('embedding', current, total))
+    });
+    const vectorizationTime = performance.now() - startTime;
+
+    const { clusters, noise, roles } = await runClustering(embeddings, algorithm, params, {
+        weights,
+        onProgress: onProgress && ((current, total) => onProgress('clustering', current, total))
+    });
+    const clusteringTime = performance.now() - startTime - vectorizationTime;
+
+    return {
+        mode: 'cluster',
+        ...describeClusters(clusters, noise, texts, embeddings, sourceIndices, { sort: true, roles, weights }),
+        dropped,
+        records: normalizedRecords,
+        run: {
+            mode: 'cluster',
+            algorithm,
+            params: {
+                ...getDefaultParams()[algorithm],
+                ...Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined))
+            },
+            batchSize,
+            preprocess: { ...getDefaultPreprocess(), ...preprocess },
+            model: model.config.id,
+            dtype: model.config.dtype,
+            source: 'local',
+            device: model.device
+        },
+        performance: {
+            vectorizationTime: (vectorizationTime / 1000).toFixed(1),
+            clusteringTime: (clusteringTime / 1000).toFixed(1),
+            totalTime: ((vectorizationTime + clusteringTime) / 1000).toFixed(1),
+            averageSpeed: (texts.length / (vectorizationTime / 1000)).toFixed(1)
+        }
+    };
+}
@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ALGORITHMS, checkPointLimit } from '../src/app/clustering.js';
+
+test('需要完整距离矩阵的算法超过上限时报错', () => {
+    for (const id of ['hdbscan', 'agglomerative']) {
+        const { maxPoints } = ALGORITHMS[id];
+        assert.doesNotThrow(() => checkPointLimit(id, maxPoints));
+        assert.throws(() => checkPointLimit(id, maxPoints + 1), new RegExp(`最多支持 ${maxPoints} 条文本`));
+    }
+});
+
+test('分块计算的算法没有上限', () => {
+    assert.doesNotThrow(() => checkPointLimit('dbscan', 1e6));
+    assert.doesNotThrow(() => checkPointLimit('kmeans', 1e6));
+});
@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHistory, pushHistory, undo, redo } from '../src/app/curation.js';
+
+test('历史截断后仍保留聚类给出的初始状态', () => {
+    const initial = { clusters: [], noiseIndices: [0] };
+    let history = createHistory(initial);
+    for (let i = 1; i <= 150; i++) {
+        history = pushHistory(history, { clusters: [], noiseIndices: [i] });
+    }
+    history = redo(undo(history));
+
+    assert.equal(history.past.length, 100);
+    assert.notEqual(history.past[0], initial);
+    assert.equal(history.original, initial);
+    assert.equal(pushHistory(history, history.original).present, initial);
+});
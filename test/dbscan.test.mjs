@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dbscan } from '../src/app/dbscan.js';
+
+// 单位圆上的二维向量（已归一化），相似度即夹角的余弦
+const unit = angle => [Math.cos(angle), Math.sin(angle)];
+const points = angles => angles.map(unit);
+
+// 夹角不超过 0.15 弧度的点互为邻居
+const EPSILON = Math.cos(0.15);
+
+test('核心点、边界点与噪声点', async () => {
+    // 0 与 3 各只有一个邻居，是链两端的边界点；4 远离其他点
+    const { clusters, noise, roles } = await dbscan(points([0, 0.1, 0.2, 0.3, 2]), EPSILON, 3);
+    assert.deepEqual(clusters, [[0, 1, 2, 3]]);
+    assert.deepEqual(noise, [4]);
+    assert.deepEqual(roles, ['border', 'core', 'core', 'border', 'noise']);
+});
+
+test('先被访问的边界点仍归入簇', async () => {
+    // 0 排在最前且不是核心点，先被跳过（当作噪声），之后应作为边界点归入 1、2 所在的簇
+    const { clusters, noise, roles } = await dbscan(points([0.3, 0.2, 0.1, 0.05]), EPSILON, 3);
+    assert.deepEqual(clusters, [[0, 1, 2, 3]]);
+    assert.deepEqual(noise, []);
+    assert.equal(roles[0], 'border');
+    assert.equal(roles[1], 'core');
+});
+
+test('两个簇之间的边界点归入先到达它的簇', async () => {
+    // 4 同时落在 3 与 5 的邻域内，但自身只有 3 个邻居
+    const { clusters, roles } = await dbscan(points([0, 0.03, 0.06, 0.1, 0.2, 0.3, 0.34, 0.37, 0.4]), Math.cos(0.12), 4);
+    assert.deepEqual(clusters, [[0, 1, 2, 3, 4], [5, 6, 7, 8]]);
+    assert.equal(roles[4], 'border');
+    assert.equal(roles[3], 'core');
+    assert.equal(roles[5], 'core');
+});
+
+test('按权重之和判断核心点', async () => {
+    const pair = points([0, 0.1]);
+    const unweighted = await dbscan(pair, EPSILON, 3);
+    assert.deepEqual(unweighted.clusters, []);
+    assert.deepEqual(unweighted.noise, [0, 1]);
+
+    const weighted = await dbscan(pair, EPSILON, 3, false, null, [2, 1]);
+    assert.deepEqual(weighted.clusters, [[0, 1]]);
+    assert.deepEqual(weighted.roles, ['core', 'core']);
+
+    // 权重之和不足时仍为噪声
+    const light = await dbscan(points([0, 1]), EPSILON, 3, false, null, [2, 2]);
+    assert.deepEqual(light.noise, [0, 1]);
+});
+
+test('minPts 为 1 时每个点都是核心点，没有噪声', async () => {
+    const { clusters, noise, roles } = await dbscan(points([0, 0.1, 1, 2]), EPSILON, 1);
+    assert.deepEqual(clusters, [[0, 1], [2], [3]]);
+    assert.deepEqual(noise, []);
+    assert.ok(roles.every(role => role === 'core'));
+});
+
+test('没有核心点时全部为噪声', async () => {
+    const { clusters, noise, roles } = await dbscan(points([0, 1, 2, 3]), EPSILON, 2);
+    assert.deepEqual(clusters, []);
+    assert.deepEqual(noise, [0, 1, 2, 3]);
+    assert.ok(roles.every(role => role === 'noise'));
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dbscan } from '../src/app/dbscan.js';
+import { silhouetteScore } from '../src/app/clusterStats.js';
+import { suggestEpsilon } from '../src/app/tuning.js';
+import { createRandom, normalize } from '../src/app/vectorMath.js';
+
+// 围绕几个中心的随机单位向量
+function syntheticPoints(count, dim, centers, spread) {
+    const random = createRandom(1);
+    const centerVectors = Array.from({ length: centers }, () => normalize(Array.from({ length: dim }, () => random() - 0.5)));
+    return Array.from({ length: count }, (_, i) => normalize(
+        centerVectors[i % centers].map(value => value + (random() - 0.5) * spread)
+    ));
+}
+
+test('共用一次邻域计算的扫描与逐个 epsilon 运行 DBSCAN 的结果一致', async () => {
+    const points = syntheticPoints(120, 8, 4, 0.8);
+    const weights = points.map((_, i) => 1 + (i % 3));
+    const stages = new Set();
+    const { sweep } = await suggestEpsilon(points, 4, { weights, onProgress: stage => stages.add(stage) });
+
+    assert.ok(sweep.length > 1);
+    assert.deepEqual([...stages], ['kdistance', 'neighbors', 'sweep']);
+    for (const row of sweep) {
+        const { clusters, noise } = await dbscan(points, 1 - row.epsilon, 4, false, null, weights);
+        assert.equal(row.clusters, clusters.length);
+        assert.equal(row.noiseRatio, noise.length / points.length);
+        assert.equal(row.silhouette, silhouetteScore(clusters, points));
+    }
+});